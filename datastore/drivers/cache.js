@@ -0,0 +1,344 @@
+'use strict';
+
+module.exports = DSCacheDriver;
+
+var extend = require( 'extend' );
+var promises = require( '../promises.js' );
+var query = require( '../query.js' );
+
+var _defaults = {
+    idField: 'id',
+    maxEntries: 1000, // entries kept before the least recently used are evicted
+    maxSize: 10 * 1024 * 1024, // approximate bytes of json kept before the least recently used are evicted
+    ttl: 60000, // ms a get result is kept, 0 to keep it until it is evicted
+    queryTtl: 10000 // ms a query result is kept, 0 to keep it until it is evicted
+};
+
+// an in-process lru cache in front of another driver, which it takes the place of in the list of
+// drivers. gets are cached by id and queries by a normalized key of their criteria and options.
+// writes go through to the wrapped driver, then refresh the cached object and drop every cached
+// query for the type.
+//
+// example options:
+// {
+//     authoritative: 'get,query',
+//     driver: new DSMongoDBDriver( {
+//         uri: base.mongoInfo.uri
+//     } ),
+//     maxEntries: 5000,
+//     ttl: 30000
+// }
+function DSCacheDriver( options ) {
+    var self = this;
+
+    if ( !options || !options.driver ) {
+        throw new Error( 'You must specify a driver to cache.' );
+    }
+
+    self.options = extend( {}, _defaults, options );
+    self.driver = options.driver;
+    self.entries = {}; // in least recently used order, since keys are never integer-like
+    self.count = 0;
+    self.size = 0;
+    self.generations = {}; // per type, bumped on every write so in-flight reads aren't cached stale
+    self.stats = {
+        hits: 0,
+        misses: 0,
+        evictions: 0
+    };
+
+    // only offer what the wrapped driver can do, since the datastore checks for these
+    [ 'batch', 'queryStream', 'search' ].forEach( function( method ) {
+        if ( typeof self.driver[ method ] === 'function' ) {
+            self[ method ] = promises.wrap( self[ '_' + method ].bind( self ) );
+        }
+    } );
+
+    return self;
+}
+
+function _clone( value ) {
+    return value && typeof value === 'object' ? extend( true, Array.isArray( value ) ? [] : {}, value ) : value;
+}
+
+// json with object keys sorted, so equivalent criteria make the same key. arrays keep their order.
+function _stableStringify( value ) {
+    if ( Array.isArray( value ) ) {
+        return '[' + value.map( _stableStringify ).join( ',' ) + ']';
+    }
+
+    if ( value && typeof value === 'object' && !( value instanceof Date ) && typeof value.toHexString !== 'function' ) {
+        return '{' + Object.keys( value ).sort().map( function( key ) {
+            return JSON.stringify( key ) + ':' + _stableStringify( value[ key ] );
+        } ).join( ',' ) + '}';
+    }
+
+    return JSON.stringify( value );
+}
+
+DSCacheDriver.prototype._getGeneration = function( type ) {
+    var self = this;
+    return self.generations[ type ] || 0;
+};
+
+DSCacheDriver.prototype._objectKey = function( type, id ) {
+    return 'get:' + type + ':' + String( id );
+};
+
+DSCacheDriver.prototype._queryKey = function( type, criteria, options ) {
+    var self = this;
+
+    try {
+        criteria = query.compile( criteria );
+    }
+    catch ( ex ) {
+        // leave it for the wrapped driver to report
+    }
+
+    // sort keys stay in order, since their order matters
+    return 'query:' + type + ':' + self._getGeneration( type ) + ':' + _stableStringify( criteria ) + ':' + _stableStringify( {
+        view: options.view,
+        limit: options.limit,
+        cursor: options.cursor,
+        count: options.count
+    } ) + ':' + JSON.stringify( options.sort || null );
+};
+
+DSCacheDriver.prototype._read = function( key ) {
+    var self = this;
+
+    var entry = self.entries[ key ];
+    if ( !entry ) {
+        return undefined;
+    }
+
+    if ( entry.expires && entry.expires < Date.now() ) {
+        self._remove( key );
+        return undefined;
+    }
+
+    // move it to the most recently used end
+    delete self.entries[ key ];
+    self.entries[ key ] = entry;
+    return entry.value;
+};
+
+DSCacheDriver.prototype._store = function( key, value, ttl ) {
+    var self = this;
+
+    self._remove( key );
+
+    var entry = {
+        value: _clone( value ),
+        size: ( JSON.stringify( value ) || '' ).length,
+        expires: ttl ? Date.now() + ttl : 0
+    };
+
+    if ( entry.size > self.options.maxSize ) {
+        return;
+    }
+
+    self.entries[ key ] = entry;
+    self.count++;
+    self.size += entry.size;
+
+    while ( self.count > self.options.maxEntries || self.size > self.options.maxSize ) {
+        self._remove( _oldest( self.entries ) );
+        self.stats.evictions++;
+    }
+};
+
+function _oldest( entries ) {
+    for ( var key in entries ) {
+        return key;
+    }
+    return null;
+}
+
+DSCacheDriver.prototype._remove = function( key ) {
+    var self = this;
+
+    var entry = self.entries[ key ];
+    if ( entry ) {
+        self.count--;
+        self.size -= entry.size;
+        delete self.entries[ key ];
+    }
+};
+
+// cached queries for the type are left to age out, since their keys include the old generation
+DSCacheDriver.prototype._invalidate = function( type ) {
+    var self = this;
+    self.generations[ type ] = self._getGeneration( type ) + 1;
+};
+
+// drops everything, or everything for a type
+DSCacheDriver.prototype.clear = function( type ) {
+    var self = this;
+
+    if ( !type ) {
+        self.entries = {};
+        self.count = 0;
+        self.size = 0;
+        return;
+    }
+
+    self._invalidate( type );
+    var prefix = self._objectKey( type, '' );
+    Object.keys( self.entries ).forEach( function( key ) {
+        if ( key.indexOf( prefix ) === 0 ) {
+            self._remove( key );
+        }
+    } );
+};
+
+DSCacheDriver.prototype.getStats = function() {
+    var self = this;
+
+    var lookups = self.stats.hits + self.stats.misses;
+    return extend( {
+        entries: self.count,
+        size: self.size,
+        hitRate: lookups ? self.stats.hits / lookups : 0
+    }, self.stats );
+};
+
+// reads the cached value for lookup.key, or calls read and caches what it calls back with for
+// lookup.ttl, unless a write to lookup.type happened in the meantime
+DSCacheDriver.prototype._readThrough = function( lookup, read, callback ) {
+    var self = this;
+
+    var type = lookup.type;
+    var cached = self._read( lookup.key );
+    if ( typeof cached !== 'undefined' ) {
+        self.stats.hits++;
+        process.nextTick( callback.bind( null, null, _clone( cached.results ), _clone( cached.page ) ) );
+        return;
+    }
+
+    self.stats.misses++;
+
+    var generation = self._getGeneration( type );
+    read( function( error, results, page ) {
+        if ( !error && generation === self._getGeneration( type ) ) {
+            self._store( lookup.key, {
+                results: results,
+                page: page
+            }, lookup.ttl );
+        }
+
+        callback( error, results, page );
+    } );
+};
+
+DSCacheDriver.prototype.get = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    // whole objects are cached, and views applied to copies of them
+    self._readThrough( {
+        type: type,
+        key: self._objectKey( type, id ),
+        ttl: self.options.ttl
+    }, function( done ) {
+        self.driver.get( type, id, {}, done );
+    }, function( error, object ) {
+        callback( error, object && options.view ? query.project( object, options.view, self.options.idField ) : object );
+    } );
+};
+
+DSCacheDriver.prototype.query = function( type, criteria, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    self._readThrough( {
+        type: type,
+        key: self._queryKey( type, criteria, options ),
+        ttl: self.options.queryTtl
+    }, function( done ) {
+        self.driver.query( type, criteria, options, done );
+    }, callback );
+};
+
+DSCacheDriver.prototype.put = function( type, object, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    self._invalidate( type );
+    self.driver.put( type, object, options, function( error ) {
+        self._invalidate( type );
+
+        var key = self._objectKey( type, object[ self.options.idField ] );
+        if ( error ) {
+            self._remove( key );
+        }
+        else {
+            self._store( key, {
+                results: object
+            }, self.options.ttl );
+        }
+
+        callback.apply( null, arguments );
+    } );
+};
+
+DSCacheDriver.prototype.delete = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    self._invalidate( type );
+    self.driver.delete( type, id, options, function() {
+        self._invalidate( type );
+        self._remove( self._objectKey( type, id ) );
+        callback.apply( null, arguments );
+    } );
+};
+
+DSCacheDriver.prototype._batch = function( operations, callback ) {
+    var self = this;
+
+    var types = {};
+    operations.forEach( function( operation ) {
+        types[ operation.type ] = true;
+        self._invalidate( operation.type );
+    } );
+
+    self.driver.batch( operations, function() {
+        operations.forEach( function( operation ) {
+            var id = operation.action === 'delete' ? operation.id : operation.object[ self.options.idField ];
+            self._remove( self._objectKey( operation.type, id ) );
+        } );
+
+        Object.keys( types ).forEach( self._invalidate.bind( self ) );
+        callback.apply( null, arguments );
+    } );
+};
+
+// streams and searches aren't cached
+DSCacheDriver.prototype._queryStream = function() {
+    var self = this;
+    self.driver.queryStream.apply( self.driver, arguments );
+};
+
+DSCacheDriver.prototype._search = function() {
+    var self = this;
+    self.driver.search.apply( self.driver, arguments );
+};
+
+// each of these returns a promise when called without a callback
+promises.wrapMethods( DSCacheDriver.prototype, [
+    'get',
+    'query',
+    'put',
+    'delete'
+], {
+    query: [ 'results', 'page' ]
+} );
@@ -0,0 +1,480 @@
+'use strict';
+
+module.exports = DSFileDriver;
+
+var async = require( 'async' );
+var extend = require( 'extend' );
+var fs = require( 'fs' );
+var isISODate = require( 'is-iso-date' );
+var path = require( 'path' );
+var util = require( 'util' );
+var uuid = require( 'node-uuid' );
+
+var DSMemoryDriver = require( './memory.js' );
+var promises = require( '../promises.js' );
+
+var _defaults = {
+    idField: 'id',
+    compactThreshold: 1000, // journal entries before a snapshot is taken
+    compactInterval: 0, // ms between background compactions, 0 to disable
+    sync: false // fsync the journal after every write
+};
+
+// keeps every object in memory, writes each change to an append-only journal and periodically
+// folds the journal into a snapshot. on startup the snapshot is loaded and the journal replayed.
+//
+// files in options.path:
+//   snapshot.json       - the collections as of the last compaction
+//   journal.ndjson      - one line per put, delete or batch since then
+//   journal.compacting  - the previous journal, while a compaction is writing the snapshot. one left
+//                         by a compaction that crashed or failed is folded into a new snapshot on
+//                         the next open or compaction
+//
+// example options:
+// {
+//     path: '/var/lib/objecticon',
+//     authoritative: 'get,query,search',
+//     idField: 'id'
+// }
+function DSFileDriver( options ) {
+    var self = this;
+    DSMemoryDriver.call( self, extend( true, {}, _defaults, options ) );
+
+    self.fd = null;
+    self.journalLength = 0;
+    self.compacting = null; // the callbacks waiting on the running compaction
+    self.timer = null;
+
+    // all journal access goes through a single queue so appends, and the journal rotation
+    // at the start of a compaction, never interleave
+    self.journal = async.queue( function( task, next ) {
+        task( next );
+    }, 1 );
+
+    self._opening = async.memoize( self._load.bind( self ) );
+
+    return self;
+}
+
+util.inherits( DSFileDriver, DSMemoryDriver );
+
+DSFileDriver.prototype._file = function( name ) {
+    var self = this;
+    return path.join( self.options.path, name );
+};
+
+function _reviver( key, value ) {
+    return typeof value === 'string' && isISODate( value ) ? new Date( value ) : value;
+}
+
+DSFileDriver.prototype._apply = function( entry ) {
+    var self = this;
+
+    if ( entry.op === 'batch' ) {
+        entry.entries.forEach( self._apply.bind( self ) );
+        return;
+    }
+
+    var collection = self._getCollection( entry.type );
+    if ( entry.op === 'put' ) {
+        collection[ entry.object[ self.options.idField ] ] = entry.object;
+    }
+    else if ( entry.op === 'delete' ) {
+        delete collection[ entry.id ];
+    }
+};
+
+DSFileDriver.prototype._replay = function( name, callback ) {
+    var self = this;
+
+    fs.readFile( self._file( name ), 'utf8', function( error, contents ) {
+        if ( error ) {
+            callback( error.code === 'ENOENT' ? null : error );
+            return;
+        }
+
+        var lines = contents.split( '\n' );
+        for ( var i = 0; i < lines.length; ++i ) {
+            if ( !lines[ i ] ) {
+                continue;
+            }
+
+            try {
+                self._apply( JSON.parse( lines[ i ], _reviver ) );
+                ++self.journalLength;
+            }
+            catch ( ex ) {
+                // a torn final line from a crash mid-append is expected, anything else is corruption
+                if ( lines.slice( i + 1 ).some( Boolean ) ) {
+                    callback( new Error( 'Corrupt journal entry at ' + name + ':' + ( i + 1 ) ) );
+                    return;
+                }
+
+                // cut it off, or the next append would be joined onto it
+                var length = Buffer.byteLength( lines.slice( 0, i ).map( function( line ) {
+                    return line + '\n';
+                } ).join( '' ) );
+                fs.truncate( self._file( name ), length, callback );
+                return;
+            }
+        }
+
+        callback();
+    } );
+};
+
+DSFileDriver.prototype._load = function( callback ) {
+    var self = this;
+
+    if ( !self.options.path ) {
+        callback( new Error( 'You must specify a path for the file driver.' ) );
+        return;
+    }
+
+    self.journalLength = 0;
+
+    async.series( [
+        function( next ) {
+            fs.mkdir( self.options.path, function( error ) {
+                next( error && error.code !== 'EEXIST' ? error : null );
+            } );
+        },
+
+        // load the last snapshot
+        function( next ) {
+            fs.readFile( self._file( 'snapshot.json' ), 'utf8', function( error, contents ) {
+                if ( error ) {
+                    next( error.code === 'ENOENT' ? null : error );
+                    return;
+                }
+
+                var collections = null;
+                try {
+                    collections = JSON.parse( contents, _reviver );
+                }
+                catch ( ex ) {
+                    next( ex );
+                    return;
+                }
+
+                // parsed objects inherit from Object.prototype, see DSMemoryDriver's collections
+                self.collections = Object.create( null );
+                Object.keys( collections ).forEach( function( type ) {
+                    var collection = self._getCollection( type );
+                    Object.keys( collections[ type ] ).forEach( function( id ) {
+                        collection[ id ] = collections[ type ][ id ];
+                    } );
+                } );
+
+                next();
+            } );
+        },
+
+        // replaying is idempotent, so an interrupted compaction's journal can always be replayed
+        self._replay.bind( self, 'journal.compacting' ),
+        self._replay.bind( self, 'journal.ndjson' ),
+        self._recover.bind( self ),
+
+        function( next ) {
+            fs.open( self._file( 'journal.ndjson' ), 'a', function( error, fd ) {
+                self.fd = fd;
+                next( error );
+            } );
+        },
+
+        function( next ) {
+            if ( self.options.compactInterval ) {
+                // background compactions pass a callback so failures don't become unhandled rejections,
+                // the journal is kept until a compaction succeeds
+                self.timer = setInterval( self.compact.bind( self, function() {} ), self.options.compactInterval );
+                self.timer.unref();
+            }
+            next();
+        }
+    ], callback );
+};
+
+DSFileDriver.prototype._open = function( callback ) {
+    var self = this;
+    self._opening( callback );
+};
+
+// check returns a version conflict error, or null, and is called inside the queue so nothing can be
+// written between the check and the append
+DSFileDriver.prototype._append = function( entry, check, callback ) {
+    var self = this;
+
+    var line = JSON.stringify( entry ) + '\n';
+
+    self.journal.push( function( next ) {
+        var conflict = check();
+        if ( conflict ) {
+            next();
+            callback( conflict );
+            return;
+        }
+
+        async.series( [
+            function( done ) {
+                fs.write( self.fd, line, null, 'utf8', done );
+            },
+
+            function( done ) {
+                if ( !self.options.sync ) {
+                    done();
+                    return;
+                }
+
+                fs.fsync( self.fd, done );
+            }
+        ], function( error ) {
+            if ( !error ) {
+                self._apply( entry );
+                ++self.journalLength;
+            }
+
+            next();
+            callback( error );
+
+            if ( !error && self.journalLength >= self.options.compactThreshold ) {
+                self.compact( function() {} );
+            }
+        } );
+    } );
+};
+
+DSFileDriver.prototype._withOpen = function( method, args ) {
+    var self = this;
+    var callback = args[ args.length - 1 ];
+
+    self._open( function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        DSMemoryDriver.prototype[ method ].apply( self, args );
+    } );
+};
+
+DSFileDriver.prototype.get = function() {
+    var self = this;
+    self._withOpen( 'get', Array.prototype.slice.call( arguments ) );
+};
+
+DSFileDriver.prototype.query = function() {
+    var self = this;
+    self._withOpen( 'query', Array.prototype.slice.call( arguments ) );
+};
+
+DSFileDriver.prototype.queryStream = function() {
+    var self = this;
+    self._withOpen( 'queryStream', Array.prototype.slice.call( arguments ) );
+};
+
+DSFileDriver.prototype.search = function() {
+    var self = this;
+    self._withOpen( 'search', Array.prototype.slice.call( arguments ) );
+};
+
+DSFileDriver.prototype.put = function( type, object, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : options;
+
+    // ensure an id, like the mongodb driver does, so log entries can be stored
+    object[ self.options.idField ] = object[ self.options.idField ] || uuid.v4();
+
+    var entry = {
+        op: 'put',
+        type: type,
+        object: extend( true, {}, object )
+    };
+
+    self._open( function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        self._append( entry, self._checkVersion.bind( self, type, object[ self.options.idField ], options ), callback );
+    } );
+};
+
+DSFileDriver.prototype.delete = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : options;
+
+    self._open( function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var numRemoved = id in self._getCollection( type ) ? 1 : 0;
+        self._append( {
+            op: 'delete',
+            type: type,
+            id: id
+        }, self._checkVersion.bind( self, type, id, options ), function( error ) {
+            callback( error, numRemoved );
+        } );
+    } );
+};
+
+// the whole batch is journaled as a single line, so a crash part way through writing it
+// leaves a torn line that is skipped on replay rather than half a batch
+DSFileDriver.prototype.batch = function( operations, callback ) {
+    var self = this;
+
+    var entries = operations.map( function( operation ) {
+        if ( operation.action === 'delete' ) {
+            return {
+                op: 'delete',
+                type: operation.type,
+                id: operation.id
+            };
+        }
+
+        operation.object[ self.options.idField ] = operation.object[ self.options.idField ] || uuid.v4();
+        return {
+            op: 'put',
+            type: operation.type,
+            object: extend( true, {}, operation.object )
+        };
+    } );
+
+    self._open( function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        self._append( {
+            op: 'batch',
+            entries: entries
+        }, self._checkBatch.bind( self, operations ), callback );
+    } );
+};
+
+DSFileDriver.prototype._writeSnapshot = function( snapshot, callback ) {
+    var self = this;
+
+    async.series( [
+        fs.writeFile.bind( fs, self._file( 'snapshot.json.tmp' ), snapshot ),
+        fs.rename.bind( fs, self._file( 'snapshot.json.tmp' ), self._file( 'snapshot.json' ) )
+    ], function( error ) {
+        callback( error );
+    } );
+};
+
+// a journal.compacting that's still there holds entries the snapshot may not have, so it must not
+// be overwritten by the next rotation. they're in memory by now, so a new snapshot takes them in.
+DSFileDriver.prototype._recover = function( callback ) {
+    var self = this;
+
+    fs.access( self._file( 'journal.compacting' ), function( error ) {
+        if ( error ) {
+            callback( error.code === 'ENOENT' ? null : error );
+            return;
+        }
+
+        async.series( [
+            self._writeSnapshot.bind( self, JSON.stringify( self.collections ) ),
+            fs.unlink.bind( fs, self._file( 'journal.compacting' ) )
+        ], function( error ) {
+            callback( error );
+        } );
+    } );
+};
+
+// rotates the journal inside the write queue, then writes the snapshot in the background. callers
+// while a compaction is running are called back when it completes.
+DSFileDriver.prototype.compact = function( callback ) {
+    var self = this;
+
+    callback = callback || function() {};
+
+    if ( self.compacting ) {
+        self.compacting.push( callback );
+        return;
+    }
+    self.compacting = [ callback ];
+
+    var snapshot = null;
+    async.series( [
+        self._open.bind( self ),
+        self._recover.bind( self ),
+
+        function( next ) {
+            self.journal.push( function( done ) {
+                snapshot = JSON.stringify( self.collections );
+                async.series( [
+                    fs.close.bind( fs, self.fd ),
+                    fs.rename.bind( fs, self._file( 'journal.ndjson' ), self._file( 'journal.compacting' ) ),
+                    function( opened ) {
+                        fs.open( self._file( 'journal.ndjson' ), 'a', function( error, fd ) {
+                            self.fd = fd;
+                            self.journalLength = 0;
+                            opened( error );
+                        } );
+                    }
+                ], function( error ) {
+                    done();
+                    next( error );
+                } );
+            } );
+        },
+
+        function( next ) {
+            self._writeSnapshot( snapshot, next );
+        },
+        fs.unlink.bind( fs, self._file( 'journal.compacting' ) )
+    ], function( error ) {
+        var callbacks = self.compacting;
+        self.compacting = null;
+        callbacks.forEach( function( _callback ) {
+            _callback( error );
+        } );
+    } );
+};
+
+DSFileDriver.prototype.close = function( callback ) {
+    var self = this;
+
+    callback = callback || function() {};
+
+    clearInterval( self.timer );
+    self.timer = null;
+
+    if ( self.fd === null ) {
+        callback();
+        return;
+    }
+
+    self.journal.push( function( done ) {
+        fs.close( self.fd, function( error ) {
+            self.fd = null;
+            self._opening = async.memoize( self._load.bind( self ) );
+            done();
+            callback( error );
+        } );
+    } );
+};
+
+promises.wrapMethods( DSFileDriver.prototype, [
+    'get',
+    'query',
+    'queryStream',
+    'search',
+    'put',
+    'delete',
+    'batch',
+    'compact',
+    'close'
+], {
+    query: [ 'results', 'page' ]
+} );
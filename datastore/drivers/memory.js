@@ -0,0 +1,264 @@
+'use strict';
+
+module.exports = DSMemoryDriver;
+
+var extend = require( 'extend' );
+var promises = require( '../promises.js' );
+var query = require( '../query.js' );
+var traverse = require( 'traverse' );
+var uuid = require( 'node-uuid' );
+
+var _defaults = {
+    idField: 'id'
+};
+
+// example options:
+// {
+//     authoritative: 'get,query,search',
+//     idField: 'id'
+// }
+function DSMemoryDriver( options ) {
+    var self = this;
+
+    self.options = extend( true, {}, _defaults, options );
+    self.collections = _map();
+
+    return self;
+}
+
+// collections are keyed by type and id, so they mustn't inherit keys like 'constructor'
+function _map() {
+    return Object.create( null );
+}
+
+function _clone( object ) {
+    return object ? extend( true, {}, object ) : object;
+}
+
+DSMemoryDriver.prototype._getCollection = function( type ) {
+    var self = this;
+    self.collections[ type ] = self.collections[ type ] || _map();
+    return self.collections[ type ];
+};
+
+DSMemoryDriver.prototype._find = function( type, criteria ) {
+    var self = this;
+    var collection = self._getCollection( type );
+    return Object.keys( collection ).map( function( id ) {
+        return collection[ id ];
+    } ).filter( function( object ) {
+        return query.match( object, criteria );
+    } );
+};
+
+DSMemoryDriver.prototype.get = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var object = self._getCollection( type )[ id ] || null;
+
+    process.nextTick( function() {
+        callback( null, query.project( _clone( object ), options.view, self.options.idField ) );
+    } );
+};
+
+// returns a version conflict error if options.expectedVersion doesn't match the stored object
+DSMemoryDriver.prototype._checkVersion = function( type, id, options ) {
+    var self = this;
+
+    if ( !options || typeof options.expectedVersion === 'undefined' ) {
+        return null;
+    }
+
+    var stored = self._getCollection( type )[ id ];
+    var version = stored ? stored[ options.versionField ] || 0 : 0;
+    if ( version === options.expectedVersion ) {
+        return null;
+    }
+
+    return {
+        error: 'version conflict',
+        message: 'The ' + type + ' with id: ' + id + ' is at version ' + version + ', not ' + options.expectedVersion + '.',
+        code: 409
+    };
+};
+
+DSMemoryDriver.prototype.put = function( type, object, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : options;
+
+    // ensure an id, like the mongodb driver does, so log entries can be stored
+    object[ self.options.idField ] = object[ self.options.idField ] || uuid.v4();
+
+    var error = self._checkVersion( type, object[ self.options.idField ], options );
+    if ( error ) {
+        process.nextTick( callback.bind( null, error ) );
+        return;
+    }
+
+    self._getCollection( type )[ object[ self.options.idField ] ] = _clone( object );
+    process.nextTick( callback );
+};
+
+DSMemoryDriver.prototype.delete = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : options;
+
+    var error = self._checkVersion( type, id, options );
+    if ( error ) {
+        process.nextTick( callback.bind( null, error ) );
+        return;
+    }
+
+    var collection = self._getCollection( type );
+    var numRemoved = id in collection ? 1 : 0;
+    delete collection[ id ];
+
+    process.nextTick( callback.bind( null, null, numRemoved ) );
+};
+
+// returns the first version conflict in a list of batch operations, or null
+DSMemoryDriver.prototype._checkBatch = function( operations ) {
+    var self = this;
+
+    var conflict = null;
+    operations.some( function( operation ) {
+        var id = operation.action === 'delete' ? operation.id : operation.object[ self.options.idField ];
+        conflict = self._checkVersion( operation.type, id, operation.options );
+        return !!conflict;
+    } );
+
+    return conflict;
+};
+
+// applies a list of { action: 'put' or 'delete', type, object or id, options } operations, all or nothing
+DSMemoryDriver.prototype.batch = function( operations, callback ) {
+    var self = this;
+
+    // check every version before changing anything
+    var conflict = self._checkBatch( operations );
+    if ( conflict ) {
+        process.nextTick( callback.bind( null, conflict ) );
+        return;
+    }
+
+    operations.forEach( function( operation ) {
+        if ( operation.action === 'delete' ) {
+            delete self._getCollection( operation.type )[ operation.id ];
+            return;
+        }
+
+        var object = operation.object;
+        object[ self.options.idField ] = object[ self.options.idField ] || uuid.v4();
+        self._getCollection( operation.type )[ object[ self.options.idField ] ] = _clone( object );
+    } );
+
+    process.nextTick( callback );
+};
+
+// options:
+//   view: a projection, eg: { name: 1 }
+//   sort: eg: { createdAt: -1 }
+//   limit: the maximum number of results to return
+//   cursor: the next page cursor from a previous query
+//   count: include the total number of matches in the page info
+//
+// calls back with ( error, results, { next: <cursor or null>, total: <count> } )
+DSMemoryDriver.prototype.query = function( type, criteria, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var results = null;
+    var cursor = null;
+    try {
+        cursor = query.decodeCursor( options.cursor );
+        results = query.sort( self._find( type, query.compile( criteria ) ), options.sort );
+    }
+    catch ( ex ) {
+        process.nextTick( callback.bind( null, ex ) );
+        return;
+    }
+
+    var total = results.length;
+    results = results.slice( cursor.skip );
+    var info = query.page( options, cursor.skip, results.length, total );
+
+    if ( options.limit ) {
+        results = results.slice( 0, options.limit );
+    }
+
+    results = results.map( function( object ) {
+        return query.project( _clone( object ), options.view, self.options.idField );
+    } );
+
+    process.nextTick( callback.bind( null, null, results, info ) );
+};
+
+// streams the results of a query, with the same options as query except for paging
+DSMemoryDriver.prototype.queryStream = function( type, criteria, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var results = null;
+    try {
+        results = query.sort( self._find( type, query.compile( criteria ) ), options.sort );
+    }
+    catch ( ex ) {
+        process.nextTick( callback.bind( null, ex ) );
+        return;
+    }
+
+    process.nextTick( callback.bind( null, null, query.arrayStream( results, function( object ) {
+        return query.project( _clone( object ), options.view, self.options.idField );
+    } ) ) );
+};
+
+// naive search: every whitespace separated term must appear in one of the object's string values
+DSMemoryDriver.prototype.search = function( type, text, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+
+    var terms = String( text || '' ).toLowerCase().split( /\s+/ ).filter( Boolean );
+    var collection = self._getCollection( type );
+
+    var results = Object.keys( collection ).map( function( id ) {
+        return collection[ id ];
+    } ).filter( function( object ) {
+        var haystack = traverse( object ).reduce( function( strings, value ) {
+            if ( typeof value === 'string' ) {
+                strings.push( value.toLowerCase() );
+            }
+            return strings;
+        }, [] ).join( '\n' );
+
+        return terms.length && terms.every( function( term ) {
+            return haystack.indexOf( term ) !== -1;
+        } );
+    } ).map( _clone );
+
+    process.nextTick( callback.bind( null, null, results ) );
+};
+
+// each of these returns a promise when called without a callback
+promises.wrapMethods( DSMemoryDriver.prototype, [
+    'get',
+    'put',
+    'delete',
+    'batch',
+    'query',
+    'queryStream',
+    'search'
+], {
+    query: [ 'results', 'page' ]
+} );
@@ -11,15 +11,21 @@ var uniqlParse = require( 'uniql' );
 var mongoCompile = require( 'uniql-mongodb' );
 var traverse = require( 'traverse' );
 
+var dsQuery = require( '../query.js' );
+var promises = require( '../promises.js' );
+
 var _defaults = {
-    idField: 'id'
+    idField: 'id',
+    textIndexes: {} // per type text index specifications, eg: { user: { name: 'text', bio: 'text' } }
 };
 
 function DSMongoDBDriver( options ) {
     var self = this;
 
-    self.options = extend( true, _defaults, options );
+    self.options = extend( true, {}, _defaults, options );
     self.db = null;
+    self.textIndexed = {};
+    self.idIndexed = {}; // by collection name: true once made, or the callbacks waiting on it
 
     return self;
 }
@@ -90,10 +96,41 @@ DSMongoDBDriver.prototype.get = function( type, id, options, callback ) {
     } );
 };
 
-DSMongoDBDriver.prototype.put = function( type, object, callback ) {
+function _versionConflict( type, id, options ) {
+    return {
+        error: 'version conflict',
+        message: 'The ' + type + ' with id: ' + id + ' is not at version ' + options.expectedVersion + '.',
+        code: 409
+    };
+}
+
+function _isVersioned( options ) {
+    return !!options && typeof options.expectedVersion !== 'undefined';
+}
+
+// adds the expected version to criteria, so the check and the write happen atomically
+function _addVersionCriteria( criteria, options ) {
+    if ( !_isVersioned( options ) ) {
+        return criteria;
+    }
+
+    criteria[ options.versionField ] = options.expectedVersion === 0 ? {
+        $exists: false
+    } : options.expectedVersion;
+
+    return criteria;
+}
+
+DSMongoDBDriver.prototype.put = function( type, object, options, callback ) {
     var self = this;
 
-    if ( !self.options.wait ) {
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : options;
+
+    // versioned writes always wait, since the caller needs to know about conflicts
+    var wait = self.options.wait || _isVersioned( options );
+
+    if ( !wait ) {
         callback();
     }
 
@@ -153,24 +190,60 @@ DSMongoDBDriver.prototype.put = function( type, object, callback ) {
 
         // store to database using update/upsert
         function( next ) {
+            if ( _isVersioned( options ) && options.expectedVersion === 0 ) {
+                self._create( type, collection, object, next );
+                return;
+            }
+
             var criteria = {};
             criteria[ self.options.idField ] = object[ self.options.idField ];
+            _addVersionCriteria( criteria, options );
 
             collection.update( criteria, object, {
-                upsert: true
-            }, next );
+                // a versioned update of an existing object must match, not insert a copy
+                upsert: !_isVersioned( options )
+            }, function( error, result ) {
+                if ( _isVersioned( options ) && !error && result.result.n === 0 ) {
+                    next( _versionConflict( type, object[ self.options.idField ], options ) );
+                    return;
+                }
+
+                next( error );
+            } );
         }
 
     ], function( error ) {
-        if ( self.options.wait ) {
+        if ( wait ) {
             callback( error );
         }
     } );
 };
 
+// an expected version of 0 means create only, so the object is inserted, and the unique id index
+// turns that into a conflict if the object already exists, even when two creates race
+DSMongoDBDriver.prototype._create = function( type, collection, object, callback ) {
+    var self = this;
+
+    self._ensureIdIndex( type, collection, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        collection.insertOne( object, function( error ) {
+            callback( error && error.code === 11000 ? _versionConflict( type, object[ self.options.idField ], {
+                expectedVersion: 0
+            } ) : error );
+        } );
+    } );
+};
+
 DSMongoDBDriver.prototype.delete = function( type, id, options, callback ) {
     var self = this;
 
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : options;
+
     var numRemoved = 0;
     var collection = null;
     async.series( [
@@ -191,9 +264,16 @@ DSMongoDBDriver.prototype.delete = function( type, id, options, callback ) {
 
             var criteria = {};
             criteria[ self.options.idField ] = _isValidId( id ) ? new mongodb.ObjectID( id ) : id;
+            _addVersionCriteria( criteria, options );
+
+            collection.remove( criteria, {}, function( error, result ) {
+                numRemoved = result && result.result ? result.result.n : result;
+
+                if ( !error && _isVersioned( options ) && numRemoved === 0 ) {
+                    next( _versionConflict( type, id, options ) );
+                    return;
+                }
 
-            collection.remove( criteria, options, function( error, _numRemoved ) {
-                numRemoved = _numRemoved;
                 next( error );
             } );
         }
@@ -202,36 +282,71 @@ DSMongoDBDriver.prototype.delete = function( type, id, options, callback ) {
     } );
 };
 
+function _parseQuery( query, callback ) {
+    if ( typeof query === 'object' ) {
+        callback( null, query );
+        return;
+    }
+
+    if ( typeof query !== 'string' ) {
+        callback( new Error( 'Invalid query' ) );
+        return;
+    }
+
+    var queryObject = null;
+    try {
+        var ast = uniqlParse( query );
+        queryObject = mongoCompile( ast );
+    }
+    catch ( ex ) {
+        callback( ex );
+        return;
+    }
+
+    callback( null, queryObject );
+}
+
+// options:
+//   view: a projection, eg: { name: 1 }
+//   sort: eg: { createdAt: -1 }
+//   limit: the maximum number of results to return
+//   cursor: the next page cursor from a previous query
+//   count: include the total number of matches in the page info
+//
+// calls back with ( error, results, { next: <cursor or null>, total: <count> } )
 DSMongoDBDriver.prototype.query = function( type, query, options, callback ) {
     var self = this;
 
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
     var result = null;
+    var total = 0;
+    var cursor = null;
     var collection = null;
     var queryObject = null;
     async.series( [
         self._connect.bind( self ),
 
-        // parse query if necessary
+        // decode the cursor for the page being requested
         function( next ) {
-            if ( typeof query === 'object' ) {
-                queryObject = query;
-                next();
-                return;
-            }
-
-            if ( typeof query !== 'string' ) {
-                next( new Error( 'Invalid query' ) );
-                return;
-            }
-
             try {
-                var ast = uniqlParse( query );
-                queryObject = mongoCompile( ast );
-                next();
+                cursor = dsQuery.decodeCursor( options.cursor );
             }
             catch ( ex ) {
                 next( ex );
+                return;
             }
+
+            next();
+        },
+
+        // parse query if necessary
+        function( next ) {
+            _parseQuery( query, function( error, _queryObject ) {
+                queryObject = _queryObject;
+                next( error );
+            } );
         },
 
         // get collection
@@ -247,8 +362,164 @@ DSMongoDBDriver.prototype.query = function( type, query, options, callback ) {
                 return;
             }
 
-            // TODO: streaming?
-            collection.find( queryObject, options.view || {} ).toArray( function( error, _result ) {
+            var find = collection.find( queryObject, options.view || {} ).sort( options.sort || {} ).skip( cursor.skip );
+
+            // ask for one extra result to know if there is another page
+            if ( options.limit ) {
+                find = find.limit( options.limit + 1 );
+            }
+
+            find.toArray( function( error, _result ) {
+                result = _result;
+                next( error );
+            } );
+        },
+
+        // count all the matches if asked to
+        function( next ) {
+            if ( !collection || !options.count ) {
+                next();
+                return;
+            }
+
+            collection.count( queryObject, function( error, _total ) {
+                total = _total;
+                next( error );
+            } );
+        }
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        result = result || [];
+        var info = dsQuery.page( options, cursor.skip, result.length, total );
+        callback( null, options.limit ? result.slice( 0, options.limit ) : result, info );
+    } );
+};
+
+// streams the results of a query, with the same options as query except for paging
+DSMongoDBDriver.prototype.queryStream = function( type, query, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var queryObject = null;
+    async.series( [
+        self._connect.bind( self ),
+
+        function( next ) {
+            _parseQuery( query, function( error, _queryObject ) {
+                queryObject = _queryObject;
+                next( error );
+            } );
+        }
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var collection = self.db.collection( _getCollectionName( type ) );
+        callback( null, collection.find( queryObject, options.view || {} ).sort( options.sort || {} ).stream() );
+    } );
+};
+
+// makes sure the collection has a unique index on the id field, which versioned creates rely on.
+// _id always has one, and mongodb rejects the unique option for it.
+DSMongoDBDriver.prototype._ensureIdIndex = function( type, collection, callback ) {
+    var self = this;
+
+    var name = _getCollectionName( type );
+    if ( self.options.idField === '_id' || self.idIndexed[ name ] === true ) {
+        callback();
+        return;
+    }
+
+    // creates while the index is being made wait for it, and a failure is retried by the next one
+    if ( self.idIndexed[ name ] ) {
+        self.idIndexed[ name ].push( callback );
+        return;
+    }
+    self.idIndexed[ name ] = [ callback ];
+
+    var index = {};
+    index[ self.options.idField ] = 1;
+    collection.createIndex( index, {
+        unique: true
+    }, function( error ) {
+        var callbacks = self.idIndexed[ name ];
+        self.idIndexed[ name ] = error ? null : true;
+        callbacks.forEach( function( _callback ) {
+            _callback( error );
+        } );
+    } );
+};
+
+// makes sure the collection has a text index, indexing every string field unless the type has
+// a specification in options.textIndexes
+DSMongoDBDriver.prototype._ensureTextIndex = function( type, collection, callback ) {
+    var self = this;
+
+    if ( self.textIndexed[ type ] ) {
+        callback();
+        return;
+    }
+
+    collection.createIndex( self.options.textIndexes[ type ] || {
+        '$**': 'text'
+    }, function( error ) {
+        self.textIndexed[ type ] = !error;
+        callback( error );
+    } );
+};
+
+// options:
+//   limit: the maximum number of results
+//   view: a projection, eg: { name: 1 }
+//
+// results are ranked by relevance, highest first, with the score in a _score field
+DSMongoDBDriver.prototype.search = function( type, text, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var result = null;
+    var collection = null;
+    async.series( [
+        self._connect.bind( self ),
+
+        // get collection
+        function( next ) {
+            collection = self.db.collection( _getCollectionName( type ) );
+            next();
+        },
+
+        function( next ) {
+            self._ensureTextIndex( type, collection, next );
+        },
+
+        function( next ) {
+            var score = {
+                _score: {
+                    $meta: 'textScore'
+                }
+            };
+
+            var find = collection.find( {
+                $text: {
+                    $search: String( text )
+                }
+            }, extend( {}, options.view, score ) ).sort( score );
+
+            if ( options.limit ) {
+                find = find.limit( options.limit );
+            }
+
+            find.toArray( function( error, _result ) {
                 result = _result;
                 next( error );
             } );
@@ -258,7 +529,14 @@ DSMongoDBDriver.prototype.query = function( type, query, options, callback ) {
     } );
 };
 
-DSMongoDBDriver.prototype.search = function( type, query, callback ) {
-    // no full text search right now
-    callback( null, [] );
-};
+// each of these returns a promise when called without a callback
+promises.wrapMethods( DSMongoDBDriver.prototype, [
+    'get',
+    'put',
+    'delete',
+    'query',
+    'queryStream',
+    'search'
+], {
+    query: [ 'results', 'page' ]
+} );
@@ -0,0 +1,232 @@
+'use strict';
+
+module.exports = DSTextIndexDriver;
+
+var async = require( 'async' );
+var extend = require( 'extend' );
+var traverse = require( 'traverse' );
+
+var promises = require( '../promises.js' );
+var query = require( '../query.js' );
+
+var _defaults = {
+    idField: 'id',
+    fields: {}, // per type lists of fields to index, eg: { user: [ 'name', 'bio' ] }, all strings otherwise
+    types: [] // types to fill from the primary on startup besides those in fields, see rebuild
+};
+
+// terms and ids come from the indexed text, so every map keyed by them has no prototype: a term like
+// 'constructor' must not find Object's
+function _map() {
+    return Object.create( null );
+}
+
+// an in-memory inverted index for full text search, for setups without a database that can do it.
+// it keeps its own copy of each object it indexes, and results are ranked by tf-idf, highest first,
+// with the score in a _score field. the index starts out empty, so a DataStore fills it from its
+// primary when it's created, see rebuild.
+//
+// example options:
+// {
+//     authoritative: 'search',
+//     fields: {
+//         user: [ 'name', 'bio' ]
+//     }
+// }
+function DSTextIndexDriver( options ) {
+    var self = this;
+
+    self.options = extend( true, {}, _defaults, options );
+    self.indexes = Object.create( null );
+    self.rebuilding = Object.create( null ); // by type, the ids written since its rebuild started
+
+    return self;
+}
+
+function _tokenize( text ) {
+    return String( text || '' ).toLowerCase().split( /[^a-z0-9\u00c0-\uffff]+/ ).filter( Boolean );
+}
+
+DSTextIndexDriver.prototype._getIndex = function( type ) {
+    var self = this;
+    self.indexes[ type ] = self.indexes[ type ] || {
+        postings: _map(), // term -> { id: count }
+        terms: _map(), // id -> { term: count }
+        objects: _map()
+    };
+    return self.indexes[ type ];
+};
+
+DSTextIndexDriver.prototype._getText = function( type, object ) {
+    var self = this;
+
+    var fields = self.options.fields[ type ];
+    if ( fields ) {
+        return fields.map( function( field ) {
+            var value = query.getPath( object, field );
+            return Array.isArray( value ) ? value.join( ' ' ) : value;
+        } ).filter( function( value ) {
+            return typeof value === 'string';
+        } );
+    }
+
+    var idField = self.options.idField;
+    return traverse( object ).reduce( function( strings, value ) {
+        if ( typeof value === 'string' && !( this.level === 1 && this.key === idField ) ) {
+            strings.push( value );
+        }
+        return strings;
+    }, [] );
+};
+
+DSTextIndexDriver.prototype._unindex = function( index, id ) {
+    Object.keys( index.terms[ id ] || _map() ).forEach( function( term ) {
+        delete index.postings[ term ][ id ];
+        if ( Object.keys( index.postings[ term ] ).length === 0 ) {
+            delete index.postings[ term ];
+        }
+    } );
+
+    delete index.terms[ id ];
+    delete index.objects[ id ];
+};
+
+DSTextIndexDriver.prototype._index = function( type, object ) {
+    var self = this;
+
+    var id = object[ self.options.idField ];
+    var index = self._getIndex( type );
+    self._unindex( index, id );
+
+    var terms = _map();
+    self._getText( type, object ).forEach( function( text ) {
+        _tokenize( text ).forEach( function( term ) {
+            terms[ term ] = ( terms[ term ] || 0 ) + 1;
+        } );
+    } );
+
+    Object.keys( terms ).forEach( function( term ) {
+        index.postings[ term ] = index.postings[ term ] || _map();
+        index.postings[ term ][ id ] = terms[ term ];
+    } );
+
+    index.terms[ id ] = terms;
+    index.objects[ id ] = extend( true, {}, object );
+};
+
+DSTextIndexDriver.prototype._written = function( type, id ) {
+    var self = this;
+    if ( self.rebuilding[ type ] ) {
+        self.rebuilding[ type ][ id ] = true;
+    }
+};
+
+DSTextIndexDriver.prototype.put = function( type, object, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+
+    self._written( type, object[ self.options.idField ] );
+    self._index( type, object );
+
+    process.nextTick( callback );
+};
+
+DSTextIndexDriver.prototype.delete = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+
+    var index = self._getIndex( type );
+    var numRemoved = id in index.objects ? 1 : 0;
+    self._written( type, id );
+    self._unindex( index, id );
+
+    process.nextTick( callback.bind( null, null, numRemoved ) );
+};
+
+// options:
+//   limit: the maximum number of results
+//   view: a projection, eg: { name: 1 }
+DSTextIndexDriver.prototype.search = function( type, text, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var index = self._getIndex( type );
+    var documentCount = Object.keys( index.objects ).length;
+    var scores = _map();
+
+    _tokenize( text ).forEach( function( term ) {
+        var postings = index.postings[ term ] || _map();
+        var ids = Object.keys( postings );
+        var idf = Math.log( 1 + documentCount / ( ids.length || 1 ) );
+
+        ids.forEach( function( id ) {
+            var termCount = Object.keys( index.terms[ id ] ).reduce( function( sum, _term ) {
+                return sum + index.terms[ id ][ _term ];
+            }, 0 );
+            scores[ id ] = ( scores[ id ] || 0 ) + postings[ id ] / termCount * idf;
+        } );
+    } );
+
+    var results = Object.keys( scores ).sort( function( a, b ) {
+        return scores[ b ] - scores[ a ];
+    } );
+
+    if ( options.limit ) {
+        results = results.slice( 0, options.limit );
+    }
+
+    results = results.map( function( id ) {
+        var object = query.project( extend( true, {}, index.objects[ id ] ), options.view, self.options.idField );
+        object._score = scores[ id ];
+        return object;
+    } );
+
+    process.nextTick( callback.bind( null, null, results ) );
+};
+
+// fills the index for each type from another driver, eg: the primary. objects written while a type is
+// being rebuilt are kept as they were written, not as the query found them.
+//
+// options:
+//   types: the types to rebuild, options.types and the types in options.fields by default
+DSTextIndexDriver.prototype.rebuild = function( source, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var types = options.types || self.options.types.concat( Object.keys( self.options.fields ) ).filter( function( type, index, _types ) {
+        return _types.indexOf( type ) === index;
+    } );
+
+    async.eachSeries( types, function( type, next ) {
+        var written = self.rebuilding[ type ] = _map();
+        source.query( type, {}, {}, function( error, results ) {
+            delete self.rebuilding[ type ];
+            if ( error ) {
+                next( error );
+                return;
+            }
+
+            results.forEach( function( object ) {
+                if ( !written[ object[ self.options.idField ] ] ) {
+                    self._index( type, object );
+                }
+            } );
+
+            next();
+        } );
+    }, callback );
+};
+
+// each of these returns a promise when called without a callback
+promises.wrapMethods( DSTextIndexDriver.prototype, [
+    'put',
+    'delete',
+    'search',
+    'rebuild'
+] );
@@ -0,0 +1,161 @@
+'use strict';
+
+// helpers for rebuilding objects from the diffs recorded in the audit log
+
+var diff = require( 'deep-diff' );
+var isISODate = require( 'is-iso-date' );
+
+var query = require( './query.js' );
+
+exports.getEntryId = getEntryId;
+exports.getChanges = getChanges;
+exports.isSnapshot = isSnapshot;
+exports.getSnapshot = getSnapshot;
+exports.createSnapshot = createSnapshot;
+exports.sortEntries = sortEntries;
+exports.entriesUntil = entriesUntil;
+exports.replay = replay;
+exports.getEntryVersion = getEntryVersion;
+exports.getLastVersion = getLastVersion;
+
+function getEntryId( entry, idField ) {
+    var id = entry[ idField || 'id' ] || entry._id;
+    return id ? String( id ) : null;
+}
+
+function _reviver( key, value ) {
+    return typeof value === 'string' && isISODate( value ) ? new Date( value ) : value;
+}
+
+function getChanges( entry ) {
+    var changes = entry.meta && entry.meta.diff;
+    if ( !changes ) {
+        return [];
+    }
+
+    return typeof changes === 'string' ? JSON.parse( changes, _reviver ) : changes;
+}
+
+// snapshot entries hold the whole object as it was after every entry up to their createdAt, so
+// replays can start from them instead of from the object's creation
+function isSnapshot( entry ) {
+    return entry.action === 'snapshot';
+}
+
+function getSnapshot( entry ) {
+    var snapshot = entry.meta && entry.meta.snapshot;
+    return typeof snapshot === 'string' ? JSON.parse( snapshot, _reviver ) : snapshot;
+}
+
+function createSnapshot( type, objectId, object, createdAt ) {
+    return {
+        action: 'snapshot',
+        type: type,
+        objectId: objectId,
+        meta: {
+            snapshot: JSON.stringify( object )
+        },
+        createdAt: createdAt
+    };
+}
+
+// the version an entry left the object at, or null if it doesn't record one, as with deletes
+function getEntryVersion( entry, versionField ) {
+    if ( isSnapshot( entry ) ) {
+        var version = ( getSnapshot( entry ) || {} )[ versionField ];
+        return typeof version === 'number' ? version : null;
+    }
+
+    var changes = getChanges( entry ).filter( function( change ) {
+        return change.path && change.path.length === 1 && change.path[ 0 ] === versionField && typeof change.rhs === 'number';
+    } );
+    return changes.length ? changes[ changes.length - 1 ].rhs : null;
+}
+
+function _compareVersions( a, b, versionField ) {
+    var aVersion = getEntryVersion( a, versionField );
+    var bVersion = getEntryVersion( b, versionField );
+    return aVersion === null || bVersion === null ? 0 : aVersion - bVersion;
+}
+
+// oldest first. entries written in the same millisecond are ordered by the version they left the
+// object at, and snapshots come after the entries they were taken at the same time as.
+// versionField defaults to '_version'.
+function sortEntries( entries, versionField ) {
+    versionField = versionField || '_version';
+    return entries.sort( function( a, b ) {
+        return query.compare( new Date( a.createdAt ), new Date( b.createdAt ) ) ||
+            _compareVersions( a, b, versionField ) ||
+            ( isSnapshot( a ) ? 1 : 0 ) - ( isSnapshot( b ) ? 1 : 0 );
+    } );
+}
+
+// returns the sorted entries up to and including the given point, which may be a log entry id,
+// a Date, an ISO date string or a timestamp in ms. returns null if the point is not valid.
+function entriesUntil( entries, at, idField, versionField ) {
+    entries = sortEntries( entries.slice(), versionField );
+
+    var index = -1;
+    entries.some( function( entry, i ) {
+        if ( getEntryId( entry, idField ) === String( at ) ) {
+            index = i;
+            return true;
+        }
+        return false;
+    } );
+
+    if ( index !== -1 ) {
+        return entries.slice( 0, index + 1 );
+    }
+
+    var time = at instanceof Date ? at : new Date( /^\d+$/.test( String( at ) ) ? Number( at ) : at );
+    if ( isNaN( time.getTime() ) ) {
+        return null;
+    }
+
+    return entries.filter( function( entry ) {
+        return new Date( entry.createdAt ).getTime() <= time.getTime();
+    } );
+}
+
+// applies each entry's changes in order, starting from the last snapshot, returning the resulting
+// object or null if it did not exist after the last entry. soft deletes are logged as changes, so
+// only deletes and purges remove the object.
+function replay( entries, versionField ) {
+    var object = null;
+
+    entries = sortEntries( entries.slice(), versionField );
+
+    var start = 0;
+    entries.forEach( function( entry, index ) {
+        if ( isSnapshot( entry ) ) {
+            start = index;
+        }
+    } );
+
+    entries.slice( start ).forEach( function( entry ) {
+        if ( isSnapshot( entry ) ) {
+            object = getSnapshot( entry );
+            return;
+        }
+
+        if ( entry.action === 'delete' || entry.action === 'purge' ) {
+            object = null;
+            return;
+        }
+
+        object = object || {};
+        getChanges( entry ).forEach( function( change ) {
+            diff.applyChange( object, true, change );
+        } );
+    } );
+
+    return object;
+}
+
+// the highest version the object's entries record, even if it was deleted since, or 0
+function getLastVersion( entries, versionField ) {
+    return entries.reduce( function( version, entry ) {
+        return Math.max( version, getEntryVersion( entry, versionField ) || 0 );
+    }, 0 );
+}
@@ -1,16 +1,41 @@
 'use strict';
 
 var async = require( 'async' );
+var diff = require( 'deep-diff' );
+var EventEmitter = require( 'events' ).EventEmitter;
 var extend = require( 'extend' );
+var stream = require( 'stream' );
+var util = require( 'util' );
+var uuid = require( 'node-uuid' );
+
+var AuditOutbox = require( './outbox.js' );
+var promises = require( './promises.js' );
+var query = require( './query.js' );
+var retention = require( './retention.js' );
+var transfer = require( './transfer.js' );
 
 module.exports = DataStore;
 
 var _defaults = {
-    idField: 'id'
+    idField: 'id',
+    versionField: '_version',
+    writePolicy: 'all', // 'all', 'quorum' or 'primary', see _replicate
+    retryInterval: 5000, // ms before retrying a driver that failed to take a replicated write
+    maxReplicaAttempts: 10, // tries a replicated write gets before it's given up on, see _getReplica
+    readTimeout: 0, // ms before a read is given up on and tried on the next driver, 0 to wait
+    breakerThreshold: 5, // failed reads in a row before a driver is skipped
+    breakerTimeout: 30000, // ms a driver is skipped for before it is tried again
+    readAnyDriver: false, // send reads no driver is authoritative or a fallback for to any driver that can do them
+    outboxPath: null, // directory audit log entries are kept in until the loggers have them, only in memory without one
+    strictAudit: false, // fail writes whose audit log entries can't be recorded
+    logRetryInterval: 1000, // ms before retrying a logger that failed to take an entry, doubled each time
+    maxLogBacklog: 10000, // entries waiting for the loggers before writes are refused, 0 for no limit
+    maxLogRetryInterval: 60000
 };
 
 function DataStore( _options ) {
     var self = this;
+    EventEmitter.call( self );
 
     self.options = extend( {}, _defaults, _options );
 
@@ -21,19 +46,49 @@ function DataStore( _options ) {
     }
 
     self.loggers = _options.loggers || [];
+    self.loggerKeys = []; // { logger, key }, see _getLoggerKey
+    self.replicas = [];
+    self.writing = {}; // by type, the writes being replicated
+    self.reconciling = {}; // by type, { held: [ the writes waiting for the reconcile ], start }
+    self.health = [];
 
     self.create = _options.create;
-    self.get = self._handleReadOperation.bind( self, 'get', self.drivers );
-    self.query = self._handleReadOperation.bind( self, 'query', self.drivers );
-    self.search = self._handleReadOperation.bind( self, 'search', self.drivers );
+    self.get = promises.wrap( self._handleReadOperation.bind( self, 'get', self.drivers ) );
+    self.query = promises.wrap( self._handleReadOperation.bind( self, 'query', self.drivers ), [ 'results', 'page' ] );
+    self.search = promises.wrap( self._handleReadOperation.bind( self, 'search', self.drivers ) );
 
     self.addDriver = _addArrayItem.bind( null, self.drivers );
     self.removeDriver = _removeArrayItem.bind( null, self.drivers );
 
     self.addLogger = _addArrayItem.bind( null, self.loggers );
     self.removeLogger = _removeArrayItem.bind( null, self.loggers );
+
+    self.logTimer = null;
+    self.outbox = new AuditOutbox( {
+        path: self.options.outboxPath,
+        retryInterval: self.options.logRetryInterval,
+        maxRetryInterval: self.options.maxLogRetryInterval
+    } );
+
+    // deliver anything left over from before a restart
+    if ( self.options.outboxPath ) {
+        self.outbox.open( function( error ) {
+            if ( error ) {
+                self.emit( 'logError', {
+                    error: error
+                } );
+                return;
+            }
+
+            self._deliverLogs();
+        } );
+    }
+
+    self._rebuildDrivers();
 }
 
+util.inherits( DataStore, EventEmitter );
+
 function _addArrayItem( array, item ) {
     return array.push( item );
 }
@@ -55,11 +110,15 @@ function _removeArrayItem( array, item ) {
     return false;
 }
 
+function _claims( driver, option, operation ) {
+    var operations = ( driver.options && driver.options[ option ] ) ? driver.options[ option ].split( ',' ) : [];
+    return operations.indexOf( operation ) !== -1;
+}
+
 function _getAuthoritative( array, operation ) {
     var authoritative = null;
     array.some( function( obj ) {
-        var authorities = ( obj.options && obj.options.authoritative ) ? obj.options.authoritative.split( ',' ) : [];
-        if ( authorities.indexOf( operation ) !== -1 ) {
+        if ( _claims( obj, 'authoritative', operation ) ) {
             authoritative = obj;
             return true;
         }
@@ -70,57 +129,905 @@ function _getAuthoritative( array, operation ) {
     return authoritative;
 }
 
+// the drivers a read can go to, in the order to try them: those authoritative for the operation,
+// then those that list it in their fallback option, eg: { fallback: 'get,query' }. if no driver
+// claims the operation either way, and options.readAnyDriver is set, any driver that can do it will.
+DataStore.prototype._getReadDrivers = function( array, operation ) {
+    var self = this;
+
+    var drivers = array.filter( function( driver ) {
+        return _claims( driver, 'authoritative', operation );
+    } ).concat( array.filter( function( driver ) {
+        return _claims( driver, 'fallback', operation ) && !_claims( driver, 'authoritative', operation );
+    } ) );
+
+    if ( drivers.length || !self.options.readAnyDriver ) {
+        return drivers;
+    }
+
+    return array.filter( function( driver ) {
+        return typeof driver[ operation ] === 'function';
+    } );
+};
+
+function _getDriverName( driver, index ) {
+    return driver.options && driver.options.name || ( driver.constructor.name + '#' + index );
+}
+
+DataStore.prototype._getHealth = function( driver ) {
+    var self = this;
+
+    var health = null;
+    self.health.some( function( _health ) {
+        health = _health.driver === driver ? _health : null;
+        return !!health;
+    } );
+
+    if ( !health ) {
+        health = {
+            driver: driver,
+            failures: 0,
+            openUntil: 0,
+            lastError: null
+        };
+        self.health.push( health );
+    }
+
+    return health;
+};
+
+// a driver's circuit is open, and it is skipped, for options.breakerTimeout after
+// options.breakerThreshold failures in a row. after that it gets one more try.
+DataStore.prototype._isAvailable = function( driver ) {
+    var self = this;
+    return self._getHealth( driver ).openUntil <= Date.now();
+};
+
+DataStore.prototype._recordRead = function( driver, error ) {
+    var self = this;
+
+    var health = self._getHealth( driver );
+    if ( !error ) {
+        health.failures = 0;
+        health.openUntil = 0;
+        return;
+    }
+
+    health.failures++;
+    health.lastError = error;
+    if ( health.failures >= self.options.breakerThreshold ) {
+        health.openUntil = Date.now() + self.options.breakerTimeout;
+    }
+};
+
+// errors with a 4xx code are the caller's, and would be the same on any driver
+function _isClientError( error ) {
+    return typeof error.code === 'number' && error.code >= 400 && error.code < 500;
+}
+
+// calls method on each driver in turn until one succeeds, skipping drivers whose circuit is open
+// unless there are no others. reads taking longer than options.readTimeout are abandoned.
+//
+// calls back with ( error, [ the values the driver called back with ], servedBy ), where servedBy
+// is the name of the driver that served the read, which is the driver's options.name if it has one
+DataStore.prototype._failover = function( drivers, method, args, callback ) {
+    var self = this;
+
+    var available = drivers.filter( self._isAvailable.bind( self ) );
+    var candidates = available.length ? available : drivers;
+
+    if ( candidates.length === 0 ) {
+        callback( new Error( 'No drivers available.' ) );
+        return;
+    }
+
+    var attempts = [];
+    var index = 0;
+
+    function attempt() {
+        var driver = candidates[ index++ ];
+        var done = false;
+        var timer = null;
+
+        function finish( error ) {
+            if ( done ) {
+                return;
+            }
+            done = true;
+            clearTimeout( timer );
+
+            // drivers may fail with strings, which can't carry the attempts
+            if ( error && typeof error !== 'object' ) {
+                error = new Error( String( error ) );
+            }
+
+            if ( error && _isClientError( error ) ) {
+                callback( error );
+                return;
+            }
+
+            self._recordRead( driver, error );
+
+            if ( !error ) {
+                callback( null, Array.prototype.slice.call( arguments, 1 ), _getDriverName( driver, self.drivers.concat( self.loggers ).indexOf( driver ) ) );
+                return;
+            }
+
+            attempts.push( error );
+            if ( index >= candidates.length ) {
+                error.attempts = attempts;
+                callback( error );
+                return;
+            }
+
+            attempt();
+        }
+
+        if ( self.options.readTimeout ) {
+            timer = setTimeout( function() {
+                finish( new Error( 'The read timed out after ' + self.options.readTimeout + 'ms.' ) );
+            }, self.options.readTimeout );
+        }
+
+        driver[ method ].apply( driver, args.concat( finish ) );
+    }
+
+    attempt();
+};
+
+// how many values each read calls back with before the name of the driver that served it
+var _readValues = {
+    get: 1,
+    query: 2,
+    search: 1
+};
+
+// calls back with the read's values, then the name of the driver that served it, eg: a query calls
+// back with ( error, results, page, servedBy )
 DataStore.prototype._handleReadOperation = function( operation, handlers, type, criteria, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    self._failover( self._getReadDrivers( handlers, operation ), operation, [ type, criteria, options ], function( error, values, servedBy ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        values.length = _readValues[ operation ];
+        callback.apply( null, [ null ].concat( values, servedBy ) );
+    } );
+};
+
+// returns how each driver's reads have been going
+DataStore.prototype.getDriverHealth = function() {
+    var self = this;
+
+    return self.health.map( function( health ) {
+        return {
+            driver: health.driver,
+            failures: health.failures,
+            available: health.openUntil <= Date.now(),
+            lastError: health.lastError
+        };
+    } );
+};
+
+// calls back with an object mode stream of the query's results from the authoritative query driver,
+// falling back to a buffered query for drivers that can't stream, and the name of the driver
+DataStore.prototype.queryStream = function( type, criteria, options, callback ) {
+    var self = this;
+
     callback = ( typeof options === 'function' && !callback ) ? options : callback;
     options = typeof options === 'function' ? {} : options;
 
-    var authoritative = _getAuthoritative( handlers, operation );
-    if ( !authoritative ) {
-        callback( new Error( 'No drivers available.' ) );
+    var drivers = self._getReadDrivers( self.drivers, 'query' );
+    var streaming = drivers.filter( function( driver ) {
+        return typeof driver.queryStream === 'function';
+    } );
+
+    // only the start of a stream can fail over
+    var method = streaming.length === drivers.length ? 'queryStream' : 'query';
+    self._failover( drivers, method, [ type, criteria, options ], function( error, values, servedBy ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, method === 'query' ? query.arrayStream( values[ 0 ] || [] ) : values[ 0 ], servedBy );
+    } );
+};
+
+function _writeOptions( self, options ) {
+    var writeOptions = {};
+    if ( options && typeof options.expectedVersion !== 'undefined' && options.expectedVersion !== null ) {
+        writeOptions.versionField = self.options.versionField;
+        writeOptions.expectedVersion = options.expectedVersion;
+    }
+    return writeOptions;
+}
+
+var _writeOptionKeys = [ 'meta', 'expectedVersion', 'action', 'previous' ];
+
+// put and delete used to take the meta to log as their third argument. an object with none of the
+// write options is still taken as meta, so older callers keep their audit log entries.
+function _getWriteOptions( options ) {
+    var isOptions = _writeOptionKeys.some( function( key ) {
+        return key in options;
+    } );
+
+    return isOptions ? options : {
+        meta: options
+    };
+}
+
+// options:
+//   meta: logged with the write, eg: { user: { ... } }
+//   expectedVersion: only write if the stored object is at this version (0 if it should not exist yet),
+//                    otherwise fail with a 409 'version conflict' error
+//   action: the action recorded in the audit log, 'put' by default
+//   previous: the object as it was before, or null if it is new, so a failed write can be rolled back
+DataStore.prototype.put = function( type, object, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = _getWriteOptions( typeof options === 'function' ? {} : ( options || {} ) );
+
+    self._write( [ {
+        action: 'put',
+        type: type,
+        object: object,
+        previous: options.previous,
+        meta: options.meta || {},
+        logAction: options.action,
+        options: options
+    } ], callback );
+};
+
+// options:
+//   meta: logged with the delete
+//   expectedVersion: only delete if the stored object is at this version
+//   action: the action recorded in the audit log, 'delete' by default
+//   previous: the object as it was before, so a failed delete can be rolled back
+DataStore.prototype.delete = function( type, id, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = _getWriteOptions( typeof options === 'function' ? {} : ( options || {} ) );
+
+    self._write( [ {
+        action: 'delete',
+        type: type,
+        id: id,
+        previous: options.previous,
+        meta: options.meta || {},
+        logAction: options.action,
+        options: options
+    } ], callback );
+};
+
+// writes several objects as a unit: either every operation is applied, or none are.
+//
+// operations: a list of
+//   {
+//       action: 'put' or 'delete',
+//       type: 'user',
+//       object: { ... }, (for puts)
+//       id: '...', (for deletes)
+//       previous: the object as it was before, or null if it is being created, used for rollback
+//       meta: { ... }, logged with the operation
+//       logAction: the action recorded in the audit log, if not the operation's action
+//       options: { expectedVersion: 1 }
+//   }
+DataStore.prototype.batch = function( operations, callback ) {
+    var self = this;
+    self._write( operations, callback );
+};
+
+function _getObjectId( self, operation ) {
+    return operation.action === 'delete' ? operation.id : operation.object[ self.options.idField ];
+}
+
+// replicates the operations according to the write policy, then logs each of them
+DataStore.prototype._write = function( operations, callback ) {
+    var self = this;
+
+    // the outbox is held in memory, so rather than let it grow without limit while the loggers are
+    // down, writes are refused, as strictAudit does
+    var backlog = self.outbox.getPendingCount();
+    if ( !self.options.strictAudit && self.options.maxLogBacklog && backlog + operations.length > self.options.maxLogBacklog ) {
+        process.nextTick( callback.bind( null, {
+            error: 'audit failed',
+            message: 'The write was refused because ' + backlog + ' audit log entries are still waiting for the loggers.',
+            code: 503
+        } ) );
         return;
     }
 
-    authoritative[ operation ]( type, criteria, options, callback );
+    var driverOperations = operations.map( function( operation ) {
+        return extend( {}, operation, {
+            options: _writeOptions( self, operation.options )
+        } );
+    } );
+
+    self._replicate( driverOperations, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        self._logOperations( operations, callback );
+    } );
 };
 
-DataStore.prototype.put = function( type, object, meta, callback ) {
+function _applyOperation( driver, operation, callback ) {
+    if ( operation.action === 'delete' ) {
+        driver.delete( operation.type, operation.id, operation.options, callback );
+        return;
+    }
+
+    driver.put( operation.type, operation.object, operation.options, callback );
+}
+
+// the operation that puts back an operation's previous state, or an error if it has none
+function _getUndoOperation( self, operation ) {
+    var id = _getObjectId( self, operation );
+
+    if ( typeof operation.previous === 'undefined' ) {
+        return new Error( 'No previous state to roll back ' + operation.type + ' with id: ' + id + ' to.' );
+    }
+
+    return operation.previous ? {
+        action: 'put',
+        type: operation.type,
+        object: operation.previous,
+        options: {}
+    } : {
+        action: 'delete',
+        type: operation.type,
+        id: id,
+        options: {}
+    };
+}
+
+// puts back the previous state of each operation, newest first, collecting any errors. operations
+// without a previous state can't be rolled back.
+DataStore.prototype._rollback = function( driver, operations, callback ) {
     var self = this;
 
-    callback = ( typeof meta === 'function' && !callback ) ? meta : callback;
+    var errors = [];
+    async.eachSeries( operations.slice().reverse(), function( operation, next ) {
+        var undo = _getUndoOperation( self, operation );
+        if ( undo instanceof Error ) {
+            errors.push( undo );
+            next();
+            return;
+        }
 
-    async.each( self.drivers, function( driver, next ) {
-        driver.put( type, object, next );
-    }, function( error ) {
-        callback( error );
+        _applyOperation( driver, undo, function( error ) {
+            if ( error ) {
+                errors.push( error );
+            }
+            next();
+        } );
+    }, function() {
+        callback( errors );
+    } );
+};
 
-        self.log( {
-            action: 'put',
-            type: type,
-            objectId: object[ self.options.idField ],
-            meta: meta
-        }, function() {
-            // if error, emit?
+DataStore.prototype._rollbackDrivers = function( drivers, operations, error, callback ) {
+    var self = this;
+
+    async.eachSeries( drivers.slice().reverse(), function( driver, next ) {
+        self._rollback( driver, operations, function( rollbackErrors ) {
+            if ( rollbackErrors.length ) {
+                error.rollbackErrors = ( error.rollbackErrors || [] ).concat( rollbackErrors );
+            }
+            next();
         } );
+    }, function() {
+        callback( error );
     } );
 };
 
-DataStore.prototype.delete = function( type, id, meta, callback ) {
+// applies a list of operations to a driver, using its own batch method if it has one. drivers
+// without one get the operations one at a time, and any already applied are rolled back if one fails.
+DataStore.prototype._batchDriver = function( driver, operations, callback ) {
     var self = this;
 
-    callback = ( typeof meta === 'function' && !callback ) ? meta : callback;
+    if ( operations.length === 1 ) {
+        _applyOperation( driver, operations[ 0 ], callback );
+        return;
+    }
 
-    async.each( self.drivers, function( driver, next ) {
-        driver.delete( type, id, next );
+    if ( typeof driver.batch === 'function' ) {
+        driver.batch( operations, callback );
+        return;
+    }
+
+    var applied = [];
+    async.eachSeries( operations, function( operation, next ) {
+        _applyOperation( driver, operation, function( error ) {
+            if ( !error ) {
+                applied.push( operation );
+            }
+            next( error );
+        } );
     }, function( error ) {
+        if ( !error ) {
+            callback();
+            return;
+        }
+
+        self._rollback( driver, applied, function( rollbackErrors ) {
+            if ( rollbackErrors.length ) {
+                error.rollbackErrors = rollbackErrors;
+            }
+            callback( error );
+        } );
+    } );
+};
+
+// the primary is the authoritative get driver, or the first driver if none is
+DataStore.prototype._getPrimary = function() {
+    var self = this;
+    return _getAuthoritative( self.drivers, 'get' ) || self.drivers[ 0 ];
+};
+
+// drivers that only keep what they're sent in memory, like the text index, start out empty, so any
+// with a rebuild method are filled from the primary. failures are emitted as 'rebuildError' events.
+DataStore.prototype._rebuildDrivers = function() {
+    var self = this;
+
+    var primary = self._getPrimary();
+    self.drivers.forEach( function( driver ) {
+        if ( !primary || driver === primary || typeof driver.rebuild !== 'function' ) {
+            return;
+        }
+
+        driver.rebuild( primary, function( error ) {
+            if ( error ) {
+                self.emit( 'rebuildError', {
+                    driver: driver,
+                    error: error
+                } );
+            }
+        } );
+    } );
+};
+
+// the primary first, then the rest in the order they were added
+DataStore.prototype._getWriteOrder = function() {
+    var self = this;
+
+    var primary = self._getPrimary();
+    return [ primary ].concat( self.drivers.filter( function( driver ) {
+        return driver !== primary;
+    } ) );
+};
+
+function _getTypes( operations ) {
+    return operations.map( function( operation ) {
+        return operation.type;
+    } ).filter( function( type, index, types ) {
+        return types.indexOf( type ) === index;
+    } );
+}
+
+// writes to a type that's being reconciled wait until it's done, and a reconcile waits for the writes
+// already under way, so that no write can land on a driver between the primary being read and the
+// driver being repaired, and be overwritten with what the primary had before
+DataStore.prototype._replicate = function( operations, callback ) {
+    var self = this;
+
+    var types = _getTypes( operations );
+    var reconciling = types.filter( function( type ) {
+        return self.reconciling[ type ];
+    } )[ 0 ];
+
+    if ( reconciling ) {
+        self.reconciling[ reconciling ].held.push( self._replicate.bind( self, operations, callback ) );
+        return;
+    }
+
+    types.forEach( function( type ) {
+        self.writing[ type ] = ( self.writing[ type ] || 0 ) + 1;
+    } );
+
+    self._replicateWrite( operations, function( error ) {
+        types.forEach( function( type ) {
+            if ( --self.writing[ type ] > 0 ) {
+                return;
+            }
+
+            delete self.writing[ type ];
+            var state = self.reconciling[ type ];
+            if ( state && state.start ) {
+                var start = state.start;
+                state.start = null;
+                start();
+            }
+        } );
+
         callback( error );
+    } );
+};
+
+DataStore.prototype._replicateWrite = function( operations, callback ) {
+    var self = this;
+
+    if ( self.drivers.length === 0 ) {
+        callback( new Error( 'No drivers available.' ) );
+        return;
+    }
+
+    switch ( self.options.writePolicy ) {
+        case 'quorum':
+            self._replicateQuorum( operations, callback );
+            break;
+        case 'primary':
+            self._replicatePrimary( operations, callback );
+            break;
+        default:
+            self._replicateAll( operations, callback );
+    }
+};
+
+// every driver must take the write. they are written one after another, starting with the primary,
+// and if one fails the drivers already written are rolled back.
+DataStore.prototype._replicateAll = function( operations, callback ) {
+    var self = this;
+
+    var written = [];
+    async.eachSeries( self._getWriteOrder(), function( driver, next ) {
+        self._batchDriver( driver, operations, function( error ) {
+            if ( !error ) {
+                written.push( driver );
+            }
+            next( error );
+        } );
+    }, function( error ) {
+        if ( !error ) {
+            callback();
+            return;
+        }
+
+        self._rollbackDrivers( written, operations, error, callback );
+    } );
+};
 
-        self.log( {
-            action: 'delete',
-            type: type,
-            objectId: id,
-            meta: meta
-        }, function() {
-            // if error, emit?
+// a majority of drivers must take the write, which goes to them all at once. drivers that fail
+// while a majority succeed are sent the write again later, and if there's no majority the drivers
+// that succeeded are rolled back.
+DataStore.prototype._replicateQuorum = function( operations, callback ) {
+    var self = this;
+
+    var written = [];
+    var failed = [];
+    var errors = [];
+    async.each( self.drivers, function( driver, next ) {
+        self._batchDriver( driver, operations, function( error ) {
+            if ( error ) {
+                failed.push( driver );
+                errors.push( error );
+            }
+            else {
+                written.push( driver );
+            }
+            next();
+        } );
+    }, function() {
+        if ( written.length >= Math.floor( self.drivers.length / 2 ) + 1 ) {
+            failed.forEach( function( driver ) {
+                self._replicateLater( driver, operations );
+            } );
+            callback();
+            return;
+        }
+
+        // report a version conflict over anything else, since the caller can act on it
+        var error = errors.filter( function( _error ) {
+            return _error.code === 409;
+        } )[ 0 ] || errors[ 0 ];
+
+        self._rollbackDrivers( written, operations, error, callback );
+    } );
+};
+
+// only the primary must take the write. the other drivers are sent it in the background, in order,
+// and retried until they take it, see _getReplica.
+DataStore.prototype._replicatePrimary = function( operations, callback ) {
+    var self = this;
+
+    var primary = self._getPrimary();
+    self._batchDriver( primary, operations, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        self.drivers.forEach( function( driver ) {
+            if ( driver !== primary ) {
+                self._replicateLater( driver, operations );
+            }
+        } );
+        callback();
+    } );
+};
+
+DataStore.prototype._getReplica = function( driver ) {
+    var self = this;
+
+    var replica = null;
+    self.replicas.some( function( _replica ) {
+        replica = _replica.driver === driver ? _replica : null;
+        return !!replica;
+    } );
+
+    if ( replica ) {
+        return replica;
+    }
+
+    replica = {
+        driver: driver,
+        failures: 0,
+        dropped: 0,
+        lastError: null,
+        reconciling: 0 // the reconciles holding the queue
+    };
+
+    // one write at a time per driver, so they land in the order they were made. a failed write goes
+    // back to the front of the queue, which waits for options.retryInterval before trying again.
+    //
+    // a write is given up on after options.maxReplicaAttempts tries, or straight away if the driver
+    // rejects it outright, say with a 409 or a 400, rather than holding up every write behind it.
+    // it's emitted as a 'replicationError' event with the operations, so they can be applied by
+    // hand, or reconcile can repair the driver.
+    replica.queue = async.queue( function( task, next ) {
+        self._batchDriver( driver, task.operations, function( error ) {
+            if ( !error ) {
+                replica.lastError = null;
+                next();
+                return;
+            }
+
+            replica.failures++;
+            replica.lastError = error;
+            task.attempts = ( task.attempts || 0 ) + 1;
+
+            if ( _isRejection( error ) || task.attempts >= self.options.maxReplicaAttempts ) {
+                replica.dropped++;
+                self.emit( 'replicationError', {
+                    driver: driver,
+                    operations: task.operations,
+                    attempts: task.attempts,
+                    error: error
+                } );
+                next();
+                return;
+            }
+
+            replica.queue.unshift( task );
+            replica.queue.pause();
+            setTimeout( function() {
+                if ( !replica.reconciling ) {
+                    replica.queue.resume();
+                }
+            }, self.options.retryInterval ).unref();
+            next();
+        } );
+    }, 1 );
+
+    self.replicas.push( replica );
+    return replica;
+};
+
+// errors the driver would give again however often the write is retried, like the 4xx api errors
+function _isRejection( error ) {
+    return !!error && typeof error.code === 'number' && error.code >= 400 && error.code < 500;
+}
+
+// the primary has the write, so the other drivers take it as is, without version checks
+DataStore.prototype._replicateLater = function( driver, operations ) {
+    var self = this;
+
+    self._getReplica( driver ).queue.push( {
+        operations: operations.map( function( operation ) {
+            return extend( {}, operation, {
+                options: {}
+            } );
+        } )
+    } );
+};
+
+// returns the drivers with writes waiting to be replicated to them, with their most recent error
+DataStore.prototype.getReplicationStatus = function() {
+    var self = this;
+
+    return self.replicas.filter( function( replica ) {
+        return replica.queue.length() > 0 || replica.queue.running() > 0;
+    } ).map( function( replica ) {
+        return {
+            driver: replica.driver,
+            pending: replica.queue.length() + replica.queue.running(),
+            failures: replica.failures,
+            dropped: replica.dropped,
+            lastError: replica.lastError
+        };
+    } );
+};
+
+function _normalize( object ) {
+    return JSON.parse( JSON.stringify( object ) );
+}
+
+// compares every driver that can be queried against the primary for a type, by id, and repairs any
+// that have drifted by writing the primary's objects to them and removing objects the primary
+// doesn't have. drivers that can't be queried, like search indexes, are skipped.
+//
+// writes to the type are held until the repair is done, whether or not it succeeds, as is
+// replication to the drivers being repaired. both then carry on with the writes that were waiting,
+// in order, so the drivers still end up with what the primary has. a reconcile of a type that's
+// already being reconciled waits for that one.
+//
+// options:
+//   dryRun: only report the differences
+//
+// calls back with a list of { driver, missing: [ ids ], changed: [ ids ], extra: [ ids ] }
+DataStore.prototype.reconcile = function( type, options, callback ) {
+    var self = this;
+
+    callback = ( typeof options === 'function' && !callback ) ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var primary = self._getPrimary();
+    var idField = self.options.idField;
+    var expected = {};
+
+    var replicas = self.drivers.filter( function( driver ) {
+        return driver !== primary && typeof driver.query === 'function';
+    } ).map( self._getReplica.bind( self ) );
+
+    var state = null;
+    if ( !options.dryRun ) {
+        if ( self.reconciling[ type ] ) {
+            self.reconciling[ type ].held.push( self.reconcile.bind( self, type, options, callback ) );
+            return;
+        }
+
+        state = self.reconciling[ type ] = {
+            held: [],
+            start: null
+        };
+
+        replicas.forEach( function( replica ) {
+            replica.reconciling++;
+            replica.queue.pause();
+        } );
+    }
+
+    function run() {
+        async.series( [
+            function( next ) {
+                primary.query( type, {}, {}, function( error, _results ) {
+                    ( _results || [] ).forEach( function( object ) {
+                        expected[ String( object[ idField ] ) ] = object;
+                    } );
+                    next( error );
+                } );
+            },
+
+            function( next ) {
+                async.mapSeries( replicas, function( replica, done ) {
+                    self._reconcileDriver( replica.driver, {
+                        type: type,
+                        expected: expected,
+                        dryRun: options.dryRun
+                    }, done );
+                }, next );
+            }
+        ], function( error, results ) {
+            if ( state ) {
+                self._endReconcile( type, replicas );
+            }
+
+            callback( error, results && results[ 1 ] );
+        } );
+    }
+
+    // writes already under way are waited for
+    if ( state && self.writing[ type ] ) {
+        state.start = run;
+        return;
+    }
+
+    run();
+};
+
+DataStore.prototype._endReconcile = function( type, replicas ) {
+    var self = this;
+
+    var state = self.reconciling[ type ];
+    delete self.reconciling[ type ];
+
+    replicas.forEach( function( replica ) {
+        if ( --replica.reconciling === 0 ) {
+            replica.queue.resume();
+        }
+    } );
+
+    state.held.forEach( function( held ) {
+        held();
+    } );
+};
+
+// options:
+//   type: the type being reconciled
+//   expected: the primary's objects by id
+//   dryRun: only report the differences
+DataStore.prototype._reconcileDriver = function( driver, options, callback ) {
+    var self = this;
+
+    var type = options.type;
+    var expected = options.expected;
+    var idField = self.options.idField;
+    var report = {
+        driver: driver,
+        missing: [],
+        changed: [],
+        extra: []
+    };
+
+    driver.query( type, {}, {}, function( error, _results ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var found = {};
+        ( _results || [] ).forEach( function( object ) {
+            var id = String( object[ idField ] );
+            found[ id ] = true;
+
+            if ( !expected[ id ] ) {
+                report.extra.push( id );
+            }
+            else if ( diff( _normalize( object ), _normalize( expected[ id ] ) ) ) {
+                report.changed.push( id );
+            }
+        } );
+
+        Object.keys( expected ).forEach( function( id ) {
+            if ( !found[ id ] ) {
+                report.missing.push( id );
+            }
+        } );
+
+        if ( options.dryRun ) {
+            callback( null, report );
+            return;
+        }
+
+        var repairs = report.missing.concat( report.changed ).map( function( id ) {
+            return {
+                action: 'put',
+                type: type,
+                object: extend( true, {}, expected[ id ] ),
+                options: {}
+            };
+        } ).concat( report.extra.map( function( id ) {
+            return {
+                action: 'delete',
+                type: type,
+                id: id,
+                options: {}
+            };
+        } ) );
+
+        async.eachSeries( repairs, _applyOperation.bind( null, driver ), function( error ) {
+            callback( error, report );
         } );
     } );
 };
@@ -132,16 +1039,257 @@ var _defaultLogEntry = {
     meta: null
 };
 
-DataStore.prototype.log = function( options, callback ) {
+// entries get their id up front, so delivering one again just overwrites it
+DataStore.prototype._createLogEntry = function( options ) {
     var self = this;
 
     var auditLogEntry = extend( {
         createdAt: new Date()
     }, _defaultLogEntry, options );
 
+    auditLogEntry[ self.options.idField ] = auditLogEntry[ self.options.idField ] || uuid.v4();
+    return auditLogEntry;
+};
+
+// logs the written operations. by default their entries are written to the outbox, and the write
+// succeeds, before they are delivered to the loggers in the background, where failed deliveries
+// are retried with backoff and reported as 'logError' events. without options.outboxPath the
+// outbox is only kept in memory, so entries still waiting for a logger are lost if the process
+// exits: set a path, or strictAudit, where every entry must be kept. either way, once
+// options.maxLogBacklog entries are waiting, writes are refused until the loggers catch up.
+//
+// with options.strictAudit, the entries are delivered to the loggers before the write succeeds,
+// and if any logger fails the write is undone, the entries are removed from the loggers that took
+// them, and the write fails with a 503 'audit failed' error.
+DataStore.prototype._logOperations = function( operations, callback ) {
+    var self = this;
+
+    var entries = operations.map( function( operation ) {
+        return self._createLogEntry( {
+            action: operation.logAction || operation.action,
+            type: operation.type,
+            objectId: _getObjectId( self, operation ),
+            meta: operation.meta || {}
+        } );
+    } );
+
+    if ( self.options.strictAudit ) {
+        var logged = []; // { logger, id } for each entry a logger took, in case they must be removed
+        async.eachSeries( entries, function( entry, next ) {
+            async.each( self.loggers, function( logger, done ) {
+                logger.put( 'auditlogentry', extend( true, {}, entry ), {}, function( error ) {
+                    if ( !error ) {
+                        logged.push( {
+                            logger: logger,
+                            id: entry[ self.options.idField ]
+                        } );
+                    }
+                    done( error );
+                } );
+            }, next );
+        }, function( error ) {
+            if ( !error ) {
+                entries.forEach( self.emit.bind( self, 'logged' ) );
+                callback();
+                return;
+            }
+
+            self._undoWrite( operations, logged, error, callback );
+        } );
+        return;
+    }
+
+    var loggers = self.loggers.map( self._getLoggerKey.bind( self ) );
+
+    self.outbox.add( entries.map( function( entry ) {
+        return {
+            id: entry[ self.options.idField ],
+            entry: entry
+        };
+    } ), loggers, function( error ) {
+        // the entries are still held in memory, so the write stands
+        if ( error ) {
+            self.emit( 'logError', {
+                error: error
+            } );
+        }
+
+        entries.forEach( self.emit.bind( self, 'logged' ) );
+        callback();
+        self._deliverLogs();
+    } );
+};
+
+// with options.strictAudit, puts back what a write changed when it couldn't be logged, and removes
+// its entries from any logger that took them, so the log doesn't record a change that didn't happen
+DataStore.prototype._undoWrite = function( operations, logged, error, callback ) {
+    var self = this;
+
+    var auditError = {
+        error: 'audit failed',
+        message: 'The write was undone because its audit log entry could not be recorded: ' + ( error.message || error.error || error ),
+        code: 503,
+        cause: error
+    };
+
+    var rollbackErrors = [];
+    var undo = operations.slice().reverse().map( _getUndoOperation.bind( null, self ) ).filter( function( operation ) {
+        if ( operation instanceof Error ) {
+            rollbackErrors.push( operation );
+            return false;
+        }
+        return true;
+    } );
+
+    async.series( [
+        function( next ) {
+            self._replicate( undo, function( undoError ) {
+                if ( undoError ) {
+                    rollbackErrors.push( undoError );
+                }
+                next();
+            } );
+        },
+
+        function( next ) {
+            async.each( logged, function( item, done ) {
+                item.logger.delete( 'auditlogentry', item.id, {}, function( removeError ) {
+                    if ( removeError ) {
+                        rollbackErrors.push( removeError );
+                    }
+                    done();
+                } );
+            }, next );
+        }
+    ], function() {
+        if ( rollbackErrors.length ) {
+            auditError.rollbackErrors = rollbackErrors;
+        }
+
+        self.emit( 'logError', {
+            error: error,
+            operations: operations
+        } );
+        callback( auditError );
+    } );
+};
+
+// outbox records name the loggers they're waiting on by key, so they reach the right ones after
+// removeLogger, or a restart with other loggers. the key is the logger's options.name, which should
+// be set, and unique, when there is an outboxPath. unnamed loggers are keyed by their class and the
+// order they were first logged to, which only holds across a restart with the same loggers.
+DataStore.prototype._getLoggerKey = function( logger ) {
+    var self = this;
+
+    var known = null;
+    self.loggerKeys.some( function( _known ) {
+        known = _known.logger === logger ? _known : null;
+        return !!known;
+    } );
+
+    if ( known ) {
+        return known.key;
+    }
+
+    var key = logger.options && logger.options.name || logger.constructor.name + '#' + self.loggerKeys.length;
+    self.loggerKeys.push( {
+        logger: logger,
+        key: key
+    } );
+    return key;
+};
+
+// the logger with a key, or null if it's no longer one of the loggers. outboxes written before
+// loggers had keys hold their indexes.
+DataStore.prototype._getLogger = function( key ) {
+    var self = this;
+
+    if ( typeof key === 'number' ) {
+        return self.loggers[ key ] || null;
+    }
+
+    return self.loggers.filter( function( logger ) {
+        return self._getLoggerKey( logger ) === key;
+    } )[ 0 ] || null;
+};
+
+// sends each outbox entry that's due to the loggers that don't have it yet, then waits for the
+// next one to come due
+DataStore.prototype._deliverLogs = function() {
+    var self = this;
+
+    clearTimeout( self.logTimer );
+    self.logTimer = null;
+
+    async.each( self.outbox.getDue(), function( record, next ) {
+        record.delivering = true;
+
+        async.each( record.loggers.slice(), function( key, done ) {
+            var logger = self._getLogger( key );
+
+            // the logger has since been removed
+            if ( !logger ) {
+                self.outbox.done( record.id, key, done );
+                return;
+            }
+
+            logger.put( 'auditlogentry', extend( true, {}, record.entry ), {}, function( error ) {
+                if ( !error ) {
+                    self.outbox.done( record.id, key, done );
+                    return;
+                }
+
+                done( error );
+            } );
+        }, function( error ) {
+            record.delivering = false;
+
+            if ( error ) {
+                self.outbox.failed( record.id );
+                self.emit( 'logError', {
+                    error: error,
+                    entry: record.entry,
+                    attempts: record.attempts
+                } );
+            }
+
+            next();
+        } );
+    }, function() {
+        var wait = self.outbox.getNextRetry();
+        if ( wait < 0 || self.logTimer ) {
+            return;
+        }
+
+        self.logTimer = setTimeout( self._deliverLogs.bind( self ), wait );
+        self.logTimer.unref();
+    } );
+};
+
+// returns how many audit log entries are waiting to be delivered to the loggers
+DataStore.prototype.getLogStatus = function() {
+    var self = this;
+
+    return {
+        pending: self.outbox.getPendingCount()
+    };
+};
+
+// writes an entry straight to every logger. logged entries, however they were written, are emitted
+// as 'logged' events.
+DataStore.prototype.log = function( options, callback ) {
+    var self = this;
+
+    var auditLogEntry = self._createLogEntry( options );
+
     async.each( self.loggers, function( logger, next ) {
-        logger.put( 'auditlogentry', auditLogEntry, next );
-    }, callback );
+        logger.put( 'auditlogentry', extend( true, {}, auditLogEntry ), {}, next );
+    }, function( error ) {
+        if ( !error ) {
+            self.emit( 'logged', auditLogEntry );
+        }
+        callback( error );
+    } );
 };
 
 DataStore.prototype.getLog = function( type, id, options, callback ) {
@@ -151,3 +1299,179 @@ DataStore.prototype.getLog = function( type, id, options, callback ) {
         objectId: id
     }, options, callback );
 };
+
+// queries log entries across every type and object, calling back with ( error, results, page )
+DataStore.prototype.queryLog = function( criteria, options, callback ) {
+    var self = this;
+    self._handleReadOperation( 'query', self.loggers, 'auditlogentry', criteria, options, callback );
+};
+
+// folds old audit log entries into snapshots and removes them, see retention.js.
+//
+// options:
+//   policies: { user: { maxAge: ms, snapshotEvery: changes } }, with '*' for every other type
+//   type: only compact entries for this type
+//   logger: only compact this logger, or the logger at this index
+//   archive: a driver expired entries are copied to before they are removed
+//   dryRun: only report what would change
+//   batchSize: changes written to a logger at a time
+//
+// calls back with a list of { logger, entries, snapshots, expired, archived }
+DataStore.prototype.compactLog = function( options, callback ) {
+    var self = this;
+
+    callback = typeof options === 'function' ? options : callback;
+    options = typeof options === 'function' ? {} : ( options || {} );
+
+    var loggers = self.loggers;
+    if ( typeof options.logger === 'number' ) {
+        loggers = self.loggers.slice( options.logger, options.logger + 1 );
+    }
+    else if ( options.logger ) {
+        loggers = [ options.logger ];
+    }
+
+    if ( loggers.length === 0 ) {
+        callback( new Error( 'No loggers to compact.' ) );
+        return;
+    }
+
+    async.mapSeries( loggers, function( logger, next ) {
+        retention.compact( logger, extend( {}, options, {
+            idField: self.options.idField,
+            versionField: self.options.versionField
+        } ), next );
+    }, callback );
+};
+
+// options.driver or options.logger can name a driver by index in the list, or be the driver itself
+function _pick( array, item, fallback ) {
+    if ( typeof item === 'number' ) {
+        return array[ item ] || null;
+    }
+    return item || fallback;
+}
+
+// writes the objects of options.types, with their audit log, to options.output as newline-delimited
+// json, see transfer.js.
+//
+// options:
+//   types: [ 'user', ... ]
+//   output: a writable stream, which is left open
+//   criteria: only export objects matching this, eg: { tenantId: '...' }, and the entries for them
+//   log: include audit log entries, true by default
+//   driver: the driver to read objects from, the primary by default
+//   logger: the logger to read entries from, the authoritative query logger or the first by default
+//   onProgress: function( { type, objects, entries } ), called every options.progressEvery (1000)
+//               records and after each type
+//
+// calls back with { types: { user: { objects, entries } }, objects, entries }
+DataStore.prototype.exportData = function( options, callback ) {
+    var self = this;
+
+    transfer.exportData( {
+        driver: _pick( self.drivers, options.driver, self._getPrimary() ),
+        logger: options.log === false ? null : _pick( self.loggers, options.logger, _getAuthoritative( self.loggers, 'query' ) || self.loggers[ 0 ] )
+    }, extend( {}, options, {
+        idField: self.options.idField
+    } ), callback );
+};
+
+// loads what exportData wrote. objects are written to every driver, as the write policy says, or to
+// just options.driver, without version checks. entries are written to every logger, or just
+// options.logger, as they are: the import itself isn't logged.
+//
+// options:
+//   input: a readable stream
+//   types: only import these types
+//   conflict: what to do with an object whose id is already stored: 'fail' (the default) stops the
+//             import there, 'skip' keeps the stored object and leaves out the history of the
+//             imported one, 'overwrite' replaces it
+//   dryRun: only report what would be imported
+//   driver, logger, onProgress, progressEvery: as for exportData, with onProgress getting
+//                                              { type, created, overwritten, skipped, entries, skippedEntries }
+//
+// calls back with { dryRun, created, overwritten, skipped, entries, skippedEntries, types: { user: { ... } } }
+DataStore.prototype.importData = function( options, callback ) {
+    var self = this;
+
+    var driver = _pick( self.drivers, options.driver, null );
+    var logger = _pick( self.loggers, options.logger, null );
+
+    transfer.importData( {
+        get: function( type, id, done ) {
+            ( driver || self._getPrimary() ).get( type, id, {}, done );
+        },
+        write: driver ? self._batchDriver.bind( self, driver ) : self._replicate.bind( self ),
+        loggers: logger ? [ logger ] : self.loggers
+    }, extend( {}, options, {
+        idField: self.options.idField
+    } ), callback );
+};
+
+// exports from this store straight into options.target, another DataStore, eg: to move a tenant
+// from mongodb to another driver in one go. takes the options of both exportData and importData,
+// with onProgress getting the progress of each. options.driver and options.logger pick what the
+// target writes to, and options.sourceDriver and options.sourceLogger what is read from here.
+//
+// calls back with { exported, imported }
+DataStore.prototype.copyData = function( options, callback ) {
+    var self = this;
+
+    if ( !options.target ) {
+        callback( new Error( 'You must specify a target to copy to.' ) );
+        return;
+    }
+
+    var pipe = new stream.PassThrough();
+    var reports = {};
+
+    async.parallel( [
+        function( next ) {
+            self.exportData( extend( {}, options, {
+                output: pipe,
+                driver: options.sourceDriver,
+                logger: options.sourceLogger
+            } ), function( error, report ) {
+                reports.exported = report;
+                pipe.end();
+                next( error );
+            } );
+        },
+
+        function( next ) {
+            options.target.importData( extend( {}, options, {
+                input: pipe
+            } ), function( error, report ) {
+                reports.imported = report;
+
+                // stops the export if the import gave up
+                if ( error ) {
+                    pipe.destroy();
+                }
+                next( error );
+            } );
+        }
+    ], function( error ) {
+        callback( error, reports );
+    } );
+};
+
+// each of these, like get, query and search, returns a promise when called without a callback
+promises.wrapMethods( DataStore.prototype, [
+    'queryStream',
+    'put',
+    'delete',
+    'batch',
+    'log',
+    'getLog',
+    'queryLog',
+    'compactLog',
+    'exportData',
+    'importData',
+    'copyData',
+    'reconcile'
+], {
+    getLog: [ 'results', 'page' ],
+    queryLog: [ 'results', 'page' ]
+} );
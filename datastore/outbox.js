@@ -0,0 +1,276 @@
+'use strict';
+
+module.exports = AuditOutbox;
+
+var async = require( 'async' );
+var extend = require( 'extend' );
+var fs = require( 'fs' );
+var isISODate = require( 'is-iso-date' );
+var path = require( 'path' );
+
+var _defaults = {
+    path: null, // directory for outbox.ndjson, entries are only kept in memory without one
+    sync: false, // fsync the outbox after every write
+    retryInterval: 1000, // ms before the first retry, doubled after each failure
+    maxRetryInterval: 60000
+};
+
+// keeps audit log entries until every logger has them, so they survive logger outages and, with a
+// path, restarts. loggers are named by a key that stays the same when others are added or removed,
+// see DataStore._getLoggerKey. the file is a journal of { add: entry } and { done: id, logger: key }
+// lines, truncated whenever nothing is pending.
+function AuditOutbox( options ) {
+    var self = this;
+
+    self.options = extend( {}, _defaults, options );
+    self.records = {}; // id -> { id, entry, loggers: [ keys still to deliver to ], attempts, retryAt }
+    self.fd = null;
+    self.writes = async.queue( function( task, next ) {
+        task( next );
+    }, 1 );
+    self._opening = async.memoize( self._load.bind( self ) );
+
+    return self;
+}
+
+function _reviver( key, value ) {
+    return typeof value === 'string' && isISODate( value ) ? new Date( value ) : value;
+}
+
+AuditOutbox.prototype._file = function() {
+    var self = this;
+    return path.join( self.options.path, 'outbox.ndjson' );
+};
+
+// replays the journal, then rewrites it with just what is still pending
+AuditOutbox.prototype._load = function( callback ) {
+    var self = this;
+
+    if ( !self.options.path ) {
+        process.nextTick( callback );
+        return;
+    }
+
+    async.series( [
+        function( next ) {
+            fs.mkdir( self.options.path, function( error ) {
+                next( error && error.code !== 'EEXIST' ? error : null );
+            } );
+        },
+
+        function( next ) {
+            fs.readFile( self._file(), 'utf8', function( error, data ) {
+                if ( error && error.code !== 'ENOENT' ) {
+                    next( error );
+                    return;
+                }
+
+                ( data || '' ).split( '\n' ).forEach( function( line ) {
+                    var record = null;
+                    try {
+                        record = line ? JSON.parse( line, _reviver ) : null;
+                    }
+                    catch ( ex ) {
+                        // a torn last line from a crash mid-write
+                        return;
+                    }
+
+                    if ( record && record.add ) {
+                        self._track( record.add, record.loggers, record.id );
+                    }
+                    else if ( record && record.done ) {
+                        self._untrack( record.done, record.logger );
+                    }
+                } );
+                next();
+            } );
+        },
+
+        function( next ) {
+            var lines = Object.keys( self.records ).map( function( id ) {
+                return self._addLine( self.records[ id ] );
+            } ).join( '' );
+
+            async.series( [
+                fs.writeFile.bind( fs, self._file() + '.tmp', lines ),
+                fs.rename.bind( fs, self._file() + '.tmp', self._file() )
+            ], next );
+        },
+
+        function( next ) {
+            fs.open( self._file(), 'a', function( error, fd ) {
+                self.fd = fd;
+                next( error );
+            } );
+        }
+    ], callback );
+};
+
+AuditOutbox.prototype.open = function( callback ) {
+    var self = this;
+    self._opening( callback );
+};
+
+AuditOutbox.prototype._addLine = function( record ) {
+    return JSON.stringify( {
+        add: record.entry,
+        id: record.id,
+        loggers: record.loggers
+    } ) + '\n';
+};
+
+AuditOutbox.prototype._track = function( entry, loggers, id ) {
+    var self = this;
+
+    self.records[ id ] = {
+        id: id,
+        entry: entry,
+        loggers: loggers.slice(),
+        attempts: 0,
+        retryAt: 0,
+        delivering: false
+    };
+    return self.records[ id ];
+};
+
+AuditOutbox.prototype._untrack = function( id, logger ) {
+    var self = this;
+
+    var record = self.records[ id ];
+    if ( !record ) {
+        return;
+    }
+
+    record.loggers = record.loggers.filter( function( key ) {
+        return key !== logger;
+    } );
+
+    if ( record.loggers.length === 0 ) {
+        delete self.records[ id ];
+    }
+};
+
+AuditOutbox.prototype._append = function( lines, callback ) {
+    var self = this;
+
+    if ( !self.options.path ) {
+        process.nextTick( callback );
+        return;
+    }
+
+    self.open( function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        self.writes.push( function( next ) {
+            async.series( [
+                function( done ) {
+                    fs.write( self.fd, lines, null, 'utf8', function( error ) {
+                        done( error );
+                    } );
+                },
+
+                function( done ) {
+                    if ( !self.options.sync ) {
+                        done();
+                        return;
+                    }
+
+                    fs.fsync( self.fd, done );
+                },
+
+                // nothing pending means nothing to replay, so start the journal over
+                function( done ) {
+                    if ( Object.keys( self.records ).length ) {
+                        done();
+                        return;
+                    }
+
+                    fs.ftruncate( self.fd, 0, done );
+                }
+            ], function( error ) {
+                next();
+                callback( error );
+            } );
+        } );
+    } );
+};
+
+// records entries that still have to reach the loggers with the given keys. each item is
+// { id, entry }. calls back once they are written to the outbox.
+AuditOutbox.prototype.add = function( items, loggers, callback ) {
+    var self = this;
+
+    if ( loggers.length === 0 ) {
+        process.nextTick( callback );
+        return;
+    }
+
+    var lines = items.map( function( item ) {
+        return self._addLine( self._track( item.entry, loggers, item.id ) );
+    } ).join( '' );
+
+    self._append( lines, callback );
+};
+
+// records that a logger has an entry
+AuditOutbox.prototype.done = function( id, logger, callback ) {
+    var self = this;
+
+    self._untrack( id, logger );
+    self._append( JSON.stringify( {
+        done: id,
+        logger: logger
+    } ) + '\n', callback );
+};
+
+// backs off exponentially from options.retryInterval
+AuditOutbox.prototype.failed = function( id ) {
+    var self = this;
+
+    var record = self.records[ id ];
+    if ( !record ) {
+        return;
+    }
+
+    record.attempts++;
+    record.retryAt = Date.now() + Math.min( self.options.retryInterval * Math.pow( 2, record.attempts - 1 ), self.options.maxRetryInterval );
+};
+
+// the records due to be delivered, oldest first
+AuditOutbox.prototype.getDue = function() {
+    var self = this;
+
+    var now = Date.now();
+    return Object.keys( self.records ).map( function( id ) {
+        return self.records[ id ];
+    } ).filter( function( record ) {
+        return !record.delivering && record.retryAt <= now;
+    } );
+};
+
+// ms until the next record not already being delivered is due, or -1 if there are none
+AuditOutbox.prototype.getNextRetry = function() {
+    var self = this;
+
+    var waiting = Object.keys( self.records ).map( function( id ) {
+        return self.records[ id ];
+    } ).filter( function( record ) {
+        return !record.delivering;
+    } );
+
+    if ( waiting.length === 0 ) {
+        return -1;
+    }
+
+    return Math.max( 0, Math.min.apply( Math, waiting.map( function( record ) {
+        return record.retryAt;
+    } ) ) - Date.now() );
+};
+
+AuditOutbox.prototype.getPendingCount = function() {
+    var self = this;
+    return Object.keys( self.records ).length;
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+/* global Promise */
+
+// lets callback-style methods return promises when called without a callback, and lets rules and
+// hooks be async functions
+
+exports.wrap = wrap;
+exports.wrapMethods = wrapMethods;
+exports.invoke = invoke;
+
+// returns a version of method that works as before when its last argument is a callback, and
+// otherwise returns a promise. the promise resolves with the callback's first value, or, if names
+// are given, an object of the callback's values, eg: [ 'results', 'page' ] for a query.
+function wrap( method, names ) {
+    return function() {
+        var self = this;
+        var args = Array.prototype.slice.call( arguments );
+
+        if ( typeof args[ args.length - 1 ] === 'function' ) {
+            return method.apply( self, args );
+        }
+
+        return new Promise( function( resolve, reject ) {
+            method.apply( self, args.concat( function( error ) {
+                if ( error ) {
+                    reject( error );
+                    return;
+                }
+
+                if ( !names ) {
+                    resolve( arguments[ 1 ] );
+                    return;
+                }
+
+                var values = arguments;
+                var result = {};
+                names.forEach( function( name, index ) {
+                    result[ name ] = values[ index + 1 ];
+                } );
+                resolve( result );
+            } ) );
+        } );
+    };
+}
+
+// wraps each of the named methods of a prototype or object in place. multiple maps method names to
+// the names of their callback values, for methods that call back with more than one.
+function wrapMethods( target, methods, multiple ) {
+    multiple = multiple || {};
+    methods.forEach( function( method ) {
+        target[ method ] = wrap( target[ method ], multiple[ method ] );
+    } );
+}
+
+// calls a rule or hook. functions that take a next argument call it, as always. functions that
+// don't are async: they return a value or a promise for one, and throw or reject to fail.
+function invoke( fn, opts, callback ) {
+    if ( fn.length > 1 ) {
+        fn( opts, callback );
+        return;
+    }
+
+    var result = null;
+    try {
+        result = fn( opts );
+    }
+    catch ( ex ) {
+        callback( ex );
+        return;
+    }
+
+    if ( !result || typeof result.then !== 'function' ) {
+        callback( null, result );
+        return;
+    }
+
+    result.then( function( value ) {
+        callback( null, value );
+    }, function( error ) {
+        callback( error || new Error( 'The rule or hook was rejected without a reason.' ) );
+    } );
+}
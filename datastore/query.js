@@ -0,0 +1,347 @@
+'use strict';
+
+// helpers for evaluating the mongodb-style queries, views and sorts that objecticon
+// accepts against plain javascript objects, for drivers without a query engine of their own
+
+var extend = require( 'extend' );
+var stream = require( 'stream' );
+var uniqlParse = require( 'uniql' );
+var mongoCompile = require( 'uniql-mongodb' );
+
+exports.compile = compile;
+exports.match = match;
+exports.project = project;
+exports.sort = sort;
+exports.getPath = getPath;
+exports.setPath = setPath;
+exports.compare = compare;
+exports.encodeCursor = encodeCursor;
+exports.decodeCursor = decodeCursor;
+exports.page = page;
+exports.arrayStream = arrayStream;
+
+function compile( query ) {
+    if ( query && typeof query === 'object' ) {
+        return query;
+    }
+
+    if ( typeof query !== 'string' ) {
+        throw new Error( 'Invalid query' );
+    }
+
+    return mongoCompile( uniqlParse( query ) );
+}
+
+function getPath( object, path ) {
+    var keys = Array.isArray( path ) ? path : path.split( '.' );
+    var value = object;
+    for ( var i = 0; i < keys.length; ++i ) {
+        if ( value === null || typeof value !== 'object' ) {
+            return undefined;
+        }
+        value = value[ keys[ i ] ];
+    }
+    return value;
+}
+
+function setPath( object, path, value ) {
+    var keys = Array.isArray( path ) ? path : path.split( '.' );
+    var target = object;
+    for ( var i = 0; i < keys.length - 1; ++i ) {
+        if ( target[ keys[ i ] ] === null || typeof target[ keys[ i ] ] !== 'object' ) {
+            target[ keys[ i ] ] = {};
+        }
+        target = target[ keys[ i ] ];
+    }
+    target[ keys[ keys.length - 1 ] ] = value;
+}
+
+// ObjectIDs compile out of uniql queries for any 24 character hex string, so compare them as strings
+function _normalize( value ) {
+    if ( value && typeof value === 'object' && typeof value.toHexString === 'function' ) {
+        return value.toHexString();
+    }
+    if ( value instanceof Date ) {
+        return value.getTime();
+    }
+    return value;
+}
+
+function compare( a, b ) {
+    a = _normalize( a );
+    b = _normalize( b );
+
+    if ( a === b ) {
+        return 0;
+    }
+    if ( a === null || typeof a === 'undefined' ) {
+        return -1;
+    }
+    if ( b === null || typeof b === 'undefined' ) {
+        return 1;
+    }
+    return a < b ? -1 : 1;
+}
+
+function _equals( a, b ) {
+    a = _normalize( a );
+    b = _normalize( b );
+
+    if ( a === null || typeof a === 'undefined' ) {
+        return b === null || typeof b === 'undefined';
+    }
+
+    if ( typeof a === 'object' && typeof b === 'object' && b !== null ) {
+        return JSON.stringify( a ) === JSON.stringify( b );
+    }
+
+    return a === b;
+}
+
+// arrays match if any of their elements match, as they do in mongodb
+function _some( value, test ) {
+    if ( Array.isArray( value ) && value.some( test ) ) {
+        return true;
+    }
+    return test( value );
+}
+
+function _regex( pattern, flags ) {
+    return pattern instanceof RegExp ? pattern : new RegExp( pattern, flags || '' );
+}
+
+var _operators = {
+    $eq: function( value, operand ) {
+        return _some( value, function( v ) {
+            return _equals( v, operand );
+        } );
+    },
+    $ne: function( value, operand ) {
+        return !_operators.$eq( value, operand );
+    },
+    $lt: function( value, operand ) {
+        return _some( value, function( v ) {
+            return typeof v !== 'undefined' && v !== null && compare( v, operand ) < 0;
+        } );
+    },
+    $lte: function( value, operand ) {
+        return _some( value, function( v ) {
+            return typeof v !== 'undefined' && v !== null && compare( v, operand ) <= 0;
+        } );
+    },
+    $gt: function( value, operand ) {
+        return _some( value, function( v ) {
+            return typeof v !== 'undefined' && v !== null && compare( v, operand ) > 0;
+        } );
+    },
+    $gte: function( value, operand ) {
+        return _some( value, function( v ) {
+            return typeof v !== 'undefined' && v !== null && compare( v, operand ) >= 0;
+        } );
+    },
+    $in: function( value, operand ) {
+        return operand.some( function( candidate ) {
+            return candidate instanceof RegExp ? _operators.$regex( value, candidate ) : _operators.$eq( value, candidate );
+        } );
+    },
+    $nin: function( value, operand ) {
+        return !_operators.$in( value, operand );
+    },
+    $exists: function( value, operand ) {
+        var exists = typeof value !== 'undefined';
+        return operand ? exists : !exists;
+    },
+    $regex: function( value, operand, condition ) {
+        var regex = _regex( operand, condition && condition.$options );
+        return _some( value, function( v ) {
+            return typeof v === 'string' && regex.test( v );
+        } );
+    },
+    $options: function() {
+        // consumed by $regex
+        return true;
+    },
+    $size: function( value, operand ) {
+        return Array.isArray( value ) && value.length === operand;
+    },
+    $all: function( value, operand ) {
+        return operand.every( function( candidate ) {
+            return _operators.$eq( value, candidate );
+        } );
+    },
+    $elemMatch: function( value, operand ) {
+        return Array.isArray( value ) && value.some( function( element ) {
+            return match( element, operand );
+        } );
+    },
+    $not: function( value, operand ) {
+        return !_matchCondition( value, operand );
+    }
+};
+
+function _isCondition( condition ) {
+    if ( !condition || typeof condition !== 'object' || Array.isArray( condition ) || condition instanceof RegExp || condition instanceof Date ) {
+        return false;
+    }
+
+    var keys = Object.keys( condition );
+    return keys.length > 0 && keys.every( function( key ) {
+        return key.charAt( 0 ) === '$';
+    } );
+}
+
+function _matchCondition( value, condition ) {
+    if ( condition instanceof RegExp ) {
+        return _operators.$regex( value, condition );
+    }
+
+    if ( !_isCondition( condition ) ) {
+        return _operators.$eq( value, condition );
+    }
+
+    return Object.keys( condition ).every( function( operator ) {
+        if ( !_operators[ operator ] ) {
+            throw new Error( 'Unsupported query operator: ' + operator );
+        }
+        return _operators[ operator ]( value, condition[ operator ], condition );
+    } );
+}
+
+function match( object, query ) {
+    query = query || {};
+
+    return Object.keys( query ).every( function( key ) {
+        var condition = query[ key ];
+        switch ( key ) {
+            case '$and':
+                return condition.every( match.bind( null, object ) );
+            case '$or':
+                return condition.some( match.bind( null, object ) );
+            case '$nor':
+                return !condition.some( match.bind( null, object ) );
+            default:
+                return _matchCondition( getPath( object, key ), condition );
+        }
+    } );
+}
+
+// apply a mongodb-style projection, eg: { name: 1, email: 1 } or { password: 0 }
+function project( object, view, idField ) {
+    if ( !object || !view || Object.keys( view ).length === 0 ) {
+        return object;
+    }
+
+    idField = idField || 'id';
+
+    var fields = Object.keys( view );
+    var inclusive = fields.some( function( field ) {
+        return field !== idField && !!view[ field ];
+    } );
+
+    var result = null;
+    if ( inclusive ) {
+        result = {};
+        if ( view[ idField ] !== 0 && view[ idField ] !== false ) {
+            result[ idField ] = object[ idField ];
+        }
+        fields.forEach( function( field ) {
+            var value = getPath( object, field );
+            if ( view[ field ] && typeof value !== 'undefined' ) {
+                setPath( result, field, value );
+            }
+        } );
+        return result;
+    }
+
+    result = extend( true, {}, object );
+    fields.forEach( function( field ) {
+        var keys = field.split( '.' );
+        var parent = getPath( result, keys.slice( 0, -1 ) );
+        if ( parent && typeof parent === 'object' ) {
+            delete parent[ keys[ keys.length - 1 ] ];
+        }
+    } );
+    return result;
+}
+
+// sort an array in place using a mongodb-style sort specification, eg: { createdAt: -1 }
+function sort( objects, specification ) {
+    if ( !specification ) {
+        return objects;
+    }
+
+    var fields = Object.keys( specification );
+    return objects.sort( function( a, b ) {
+        for ( var i = 0; i < fields.length; ++i ) {
+            var direction = specification[ fields[ i ] ] < 0 ? -1 : 1;
+            var result = compare( getPath( a, fields[ i ] ), getPath( b, fields[ i ] ) );
+            if ( result !== 0 ) {
+                return result * direction;
+            }
+        }
+        return 0;
+    } );
+}
+
+// cursors are opaque to clients, but are just the offset of the next page
+function encodeCursor( state ) {
+    return Buffer.from( JSON.stringify( state ) ).toString( 'base64' );
+}
+
+function decodeCursor( cursor ) {
+    if ( !cursor ) {
+        return {
+            skip: 0
+        };
+    }
+
+    var state = null;
+    try {
+        state = JSON.parse( Buffer.from( String( cursor ), 'base64' ).toString( 'utf8' ) );
+    }
+    catch ( ex ) {
+        state = null;
+    }
+
+    if ( !state || typeof state.skip !== 'number' || state.skip < 0 ) {
+        throw new Error( 'Invalid cursor: ' + cursor );
+    }
+
+    return state;
+}
+
+// given the query options and how many results were available from the cursor's offset, returns
+// the page info drivers call back with: { next: <cursor or null>, total: <count if options.count> }
+function page( options, skip, available, total ) {
+    var info = {
+        next: options.limit && available > options.limit ? encodeCursor( {
+            skip: skip + options.limit
+        } ) : null
+    };
+
+    if ( options.count ) {
+        info.total = total;
+    }
+
+    return info;
+}
+
+// an object mode stream of the array's items, each passed through map if given, as they are read
+function arrayStream( array, map ) {
+    var index = 0;
+    var readable = new stream.Readable( {
+        objectMode: true
+    } );
+
+    readable._read = function() {
+        if ( index >= array.length ) {
+            readable.push( null );
+            return;
+        }
+
+        var item = array[ index++ ];
+        readable.push( map ? map( item ) : item );
+    };
+
+    return readable;
+}
@@ -0,0 +1,275 @@
+'use strict';
+
+// keeps the audit log from growing without bound. for each object, entries older than its type's
+// policy allows are folded into a snapshot of the object as they left it, then removed, after being
+// copied to an archive driver if there is one. objects with many changes since their last snapshot
+// get a new one, so replaying their history stays short.
+//
+// policies map types, or '*' for every type without its own, to:
+// {
+//     maxAge: ms entries are kept for, 0 to keep them forever
+//     snapshotEvery: changes between snapshots, 0 to only snapshot expiring entries
+// }
+
+var async = require( 'async' );
+var extend = require( 'extend' );
+var uuid = require( 'node-uuid' );
+
+var history = require( './history.js' );
+var query = require( './query.js' );
+
+exports.compact = compact;
+
+function _getPolicy( policies, type ) {
+    return policies[ type ] || policies[ '*' ] || null;
+}
+
+// works out the snapshots to write and the entries to remove for one object's entries, oldest first
+function _plan( entries, policy, now, versionField ) {
+    var plan = {
+        snapshots: [],
+        expired: []
+    };
+
+    var first = entries[ 0 ];
+    var cutoff = policy.maxAge ? now - policy.maxAge : -Infinity;
+    var expired = entries.filter( function( entry ) {
+        return new Date( entry.createdAt ).getTime() < cutoff;
+    } );
+    var kept = entries.slice( expired.length );
+
+    // a lone snapshot is already as compact as expired entries get
+    if ( expired.length && !( expired.length === 1 && history.isSnapshot( expired[ 0 ] ) ) ) {
+        var state = history.replay( expired, versionField );
+        if ( state ) {
+            plan.snapshots.push( history.createSnapshot( first.type, first.objectId, state, expired[ expired.length - 1 ].createdAt ) );
+        }
+        plan.expired = expired;
+    }
+
+    if ( !policy.snapshotEvery || kept.length === 0 ) {
+        return plan;
+    }
+
+    var changes = 0;
+    kept.forEach( function( entry ) {
+        changes = history.isSnapshot( entry ) ? 0 : changes + 1;
+    } );
+
+    var current = changes >= policy.snapshotEvery ? history.replay( entries, versionField ) : null;
+    if ( current ) {
+        plan.snapshots.push( history.createSnapshot( first.type, first.objectId, current, kept[ kept.length - 1 ].createdAt ) );
+    }
+
+    return plan;
+}
+
+function _readEntries( logger, criteria, callback ) {
+    var options = {
+        sort: {
+            type: 1,
+            objectId: 1,
+            createdAt: 1
+        }
+    };
+
+    if ( typeof logger.queryStream === 'function' ) {
+        logger.queryStream( 'auditlogentry', criteria, options, callback );
+        return;
+    }
+
+    logger.query( 'auditlogentry', criteria, options, function( error, _entries ) {
+        callback( error, error ? null : query.arrayStream( _entries || [] ) );
+    } );
+}
+
+// applies the operations with the driver's batch method if it has one, or one at a time, in order
+function _apply( driver, operations, callback ) {
+    if ( operations.length === 0 ) {
+        process.nextTick( callback );
+        return;
+    }
+
+    if ( typeof driver.batch === 'function' ) {
+        driver.batch( operations, callback );
+        return;
+    }
+
+    async.eachSeries( operations, function( operation, next ) {
+        if ( operation.action === 'delete' ) {
+            driver.delete( operation.type, operation.id, {}, next );
+            return;
+        }
+
+        driver.put( operation.type, operation.object, {}, next );
+    }, callback );
+}
+
+function _put( entry ) {
+    return {
+        action: 'put',
+        type: 'auditlogentry',
+        object: entry,
+        options: {}
+    };
+}
+
+// compacts one logger's entries. they are read as a stream sorted by object, so only one object's
+// entries are held at a time, and the changes for several objects are written together, in batches
+// of about options.batchSize operations.
+//
+// options:
+//   policies: see above
+//   type: only compact entries for this type
+//   archive: a driver expired entries are copied to before they are removed
+//   dryRun: only report what would change
+//   batchSize: operations written at a time, 500 by default
+//   idField: the loggers' id field
+//   versionField: the objects' version field, which orders entries written in the same millisecond
+//
+// calls back with { logger, entries, snapshots, expired, archived }
+function compact( logger, options, callback ) {
+    var idField = options.idField || 'id';
+    var batchSize = options.batchSize || 500;
+    var now = Date.now();
+
+    var report = {
+        logger: logger,
+        entries: 0,
+        snapshots: 0,
+        expired: 0,
+        archived: 0
+    };
+
+    var current = [];
+    var snapshots = [];
+    var expired = [];
+
+    // snapshots go in before anything is removed, and expired entries are archived before that, so
+    // stopping part way never loses history
+    function flush( next ) {
+        var _snapshots = snapshots;
+        var _expired = expired;
+        snapshots = [];
+        expired = [];
+
+        if ( options.dryRun ) {
+            process.nextTick( next );
+            return;
+        }
+
+        async.series( [
+            function( done ) {
+                if ( !options.archive ) {
+                    done();
+                    return;
+                }
+
+                _apply( options.archive, _expired.map( function( entry ) {
+                    return _put( extend( true, {}, entry ) );
+                } ), done );
+            },
+
+            _apply.bind( null, logger, _snapshots.map( function( snapshot ) {
+                snapshot[ idField ] = uuid.v4();
+                return _put( snapshot );
+            } ).concat( _expired.map( function( entry ) {
+                return {
+                    action: 'delete',
+                    type: 'auditlogentry',
+                    id: entry[ idField ],
+                    options: {}
+                };
+            } ) ) )
+        ], function( error ) {
+            next( error );
+        } );
+    }
+
+    // plans the entries of the object read so far, flushing once there's a batch's worth
+    function planCurrent( next ) {
+        var entries = history.sortEntries( current, options.versionField );
+        current = [];
+
+        var policy = entries.length ? _getPolicy( options.policies || {}, entries[ 0 ].type ) : null;
+        if ( !policy ) {
+            process.nextTick( next );
+            return;
+        }
+
+        var plan = _plan( entries, policy, now, options.versionField );
+        report.snapshots += plan.snapshots.length;
+        report.expired += plan.expired.length;
+        report.archived += options.archive ? plan.expired.length : 0;
+        snapshots = snapshots.concat( plan.snapshots );
+        expired = expired.concat( plan.expired );
+
+        if ( snapshots.length + expired.length >= batchSize ) {
+            flush( next );
+            return;
+        }
+
+        process.nextTick( next );
+    }
+
+    function finish( error ) {
+        callback( error, report );
+    }
+
+    _readEntries( logger, options.type ? {
+        type: options.type
+    } : {}, function( error, entries ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var finished = false;
+        function stop( _error ) {
+            if ( finished ) {
+                return;
+            }
+            finished = true;
+            if ( typeof entries.destroy === 'function' ) {
+                entries.destroy();
+            }
+            finish( _error );
+        }
+
+        entries.on( 'data', function( entry ) {
+            report.entries++;
+
+            var last = current[ current.length - 1 ];
+            if ( !last || last.type === entry.type && String( last.objectId ) === String( entry.objectId ) ) {
+                current.push( entry );
+                return;
+            }
+
+            entries.pause();
+            planCurrent( function( _error ) {
+                if ( _error ) {
+                    stop( _error );
+                    return;
+                }
+
+                current.push( entry );
+                entries.resume();
+            } );
+        } );
+
+        entries.on( 'error', stop );
+
+        entries.on( 'end', function() {
+            async.series( [
+                planCurrent,
+                flush
+            ], function( _error ) {
+                if ( finished ) {
+                    return;
+                }
+                finished = true;
+                finish( _error );
+            } );
+        } );
+    } );
+}
@@ -0,0 +1,442 @@
+'use strict';
+
+// moves whole types, with their audit log, between stores as newline-delimited json. the first line
+// is a header, and each line after it an object or a log entry:
+//
+//   { "format": "objecticon", "version": 1, "exportedAt": "...", "types": [ "user" ] }
+//   { "type": "user", "object": { ... } }
+//   { "type": "user", "entry": { ... } }
+//
+// a type's objects come before its entries, so an import knows which objects it took before it
+// sees their history.
+
+var async = require( 'async' );
+var isISODate = require( 'is-iso-date' );
+var stream = require( 'stream' );
+var StringDecoder = require( 'string_decoder' ).StringDecoder;
+
+var query = require( './query.js' );
+
+exports.exportData = exportData;
+exports.importData = importData;
+
+var FORMAT = 'objecticon';
+var VERSION = 1;
+
+function _reviver( key, value ) {
+    return typeof value === 'string' && isISODate( value ) ? new Date( value ) : value;
+}
+
+// writes a line, waiting for the output to drain when it asks to
+function _writeLine( output, record, callback ) {
+    if ( output.write( JSON.stringify( record ) + '\n' ) ) {
+        process.nextTick( callback );
+        return;
+    }
+
+    function onDrain() {
+        output.removeListener( 'close', onClose );
+        callback();
+    }
+
+    function onClose() {
+        output.removeListener( 'drain', onDrain );
+        callback( new Error( 'The output was closed before the export finished.' ) );
+    }
+
+    output.once( 'drain', onDrain );
+    output.once( 'close', onClose );
+}
+
+// calls iterator with each item of an object mode stream in turn. the stream is destroyed when the
+// iterator or the stream fails, so the rest of it isn't left open, eg: a database cursor.
+function _eachItem( readable, iterator, callback ) {
+    var finished = false;
+    function finish( error ) {
+        if ( finished ) {
+            return;
+        }
+        finished = true;
+
+        if ( error && typeof readable.destroy === 'function' ) {
+            readable.destroy();
+        }
+
+        callback( error );
+    }
+
+    readable.on( 'data', function( item ) {
+        readable.pause();
+        iterator( item, function( error ) {
+            if ( error ) {
+                finish( error );
+                return;
+            }
+            readable.resume();
+        } );
+    } );
+    readable.on( 'end', finish.bind( null, null ) );
+    readable.on( 'error', finish );
+}
+
+function _readAll( driver, type, criteria, callback ) {
+    if ( typeof driver.queryStream === 'function' ) {
+        driver.queryStream( type, criteria, {}, callback );
+        return;
+    }
+
+    driver.query( type, criteria, {}, function( error, _results ) {
+        callback( error, error ? null : query.arrayStream( _results || [] ) );
+    } );
+}
+
+// calls onProgress every progressEvery records, and when forced
+function _progress( options, counts, force ) {
+    var every = options.progressEvery || 1000;
+    counts.records = ( counts.records || 0 ) + ( force ? 0 : 1 );
+    if ( typeof options.onProgress === 'function' && ( force || counts.records % every === 0 ) ) {
+        options.onProgress( counts.progress() );
+    }
+}
+
+// source: { driver, logger }, where logger may be null to leave out the audit log
+//
+// options:
+//   types: the types to export
+//   output: a writable stream
+//   criteria: only export objects matching this, and their entries
+//   idField: the drivers' id field
+//   progressEvery, onProgress: see DataStore.exportData
+function exportData( source, options, callback ) {
+    var output = options.output;
+    var idField = options.idField || 'id';
+    var report = {
+        types: {},
+        objects: 0,
+        entries: 0
+    };
+    var counts = {};
+
+    if ( !output || !Array.isArray( options.types ) || options.types.length === 0 ) {
+        callback( new Error( 'You must specify the types to export and an output stream.' ) );
+        return;
+    }
+
+    async.series( [
+        _writeLine.bind( null, output, {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date(),
+            types: options.types
+        } ),
+
+        function( next ) {
+            async.eachSeries( options.types, function( type, done ) {
+                var typeReport = report.types[ type ] = {
+                    objects: 0,
+                    entries: 0
+                };
+                var ids = [];
+
+                counts.progress = function() {
+                    return {
+                        type: type,
+                        objects: typeReport.objects,
+                        entries: typeReport.entries
+                    };
+                };
+
+                async.series( [
+                    function( step ) {
+                        _readAll( source.driver, type, options.criteria || {}, function( error, objects ) {
+                            if ( error ) {
+                                step( error );
+                                return;
+                            }
+
+                            _eachItem( objects, function( object, written ) {
+                                ids.push( object[ idField ] );
+                                typeReport.objects++;
+                                report.objects++;
+                                _progress( options, counts );
+                                _writeLine( output, {
+                                    type: type,
+                                    object: object
+                                }, written );
+                            }, step );
+                        } );
+                    },
+
+                    function( step ) {
+                        if ( !source.logger ) {
+                            step();
+                            return;
+                        }
+
+                        // with criteria, only the history of the exported objects goes along, a
+                        // chunk of ids at a time
+                        var lookups = options.criteria ? _chunk( ids, 500 ).map( function( chunk ) {
+                            return {
+                                type: type,
+                                objectId: {
+                                    $in: chunk
+                                }
+                            };
+                        } ) : [ {
+                            type: type
+                        } ];
+
+                        async.eachSeries( lookups, function( criteria, looked ) {
+                            _readAll( source.logger, 'auditlogentry', criteria, function( error, entries ) {
+                                if ( error ) {
+                                    looked( error );
+                                    return;
+                                }
+
+                                _eachItem( entries, function( entry, written ) {
+                                    typeReport.entries++;
+                                    report.entries++;
+                                    _progress( options, counts );
+                                    _writeLine( output, {
+                                        type: type,
+                                        entry: entry
+                                    }, written );
+                                }, looked );
+                            } );
+                        }, step );
+                    }
+                ], function( error ) {
+                    _progress( options, counts, true );
+                    done( error );
+                } );
+            }, next );
+        }
+    ], function( error ) {
+        callback( error, report );
+    } );
+}
+
+function _chunk( array, size ) {
+    var chunks = [];
+    for ( var i = 0; i < array.length; i += size ) {
+        chunks.push( array.slice( i, i + size ) );
+    }
+    return chunks;
+}
+
+// splits a stream of text into a stream of its non-empty lines
+function _lines( input ) {
+    var decoder = new StringDecoder( 'utf8' );
+    var buffered = '';
+    var lines = new stream.Transform( {
+        readableObjectMode: true
+    } );
+
+    lines._transform = function( chunk, encoding, next ) {
+        var parts = ( buffered + ( typeof chunk === 'string' ? chunk : decoder.write( chunk ) ) ).split( '\n' );
+        buffered = parts.pop();
+        parts.forEach( function( line ) {
+            if ( line ) {
+                lines.push( line );
+            }
+        } );
+        next();
+    };
+
+    lines._flush = function( next ) {
+        buffered += decoder.end();
+        if ( buffered ) {
+            lines.push( buffered );
+        }
+        next();
+    };
+
+    input.on( 'error', lines.emit.bind( lines, 'error' ) );
+    return input.pipe( lines );
+}
+
+function _invalid( message ) {
+    return {
+        error: 'invalid export',
+        message: message,
+        code: 400
+    };
+}
+
+// parses a line of an export, calling back with the header or a record
+function _parseLine( line, lineNumber, callback ) {
+    var record = null;
+    try {
+        record = JSON.parse( line, _reviver );
+    }
+    catch ( ex ) {
+        callback( _invalid( 'Line ' + lineNumber + ' is not valid json: ' + ex.message ) );
+        return;
+    }
+
+    if ( lineNumber === 1 ) {
+        callback( record && record.format === FORMAT && record.version <= VERSION ? null : _invalid( 'The input is not an objecticon export.' ), record );
+        return;
+    }
+
+    if ( !record || typeof record.type !== 'string' || ( !record.object && !record.entry ) ) {
+        callback( _invalid( 'Line ' + lineNumber + ' is not an object or a log entry.' ) );
+        return;
+    }
+
+    callback( null, record );
+}
+
+// target: {
+//     get: function( type, id, callback ), to look for conflicts
+//     write: function( operations, callback ), to write objects
+//     loggers: [ drivers to write entries to ]
+// }
+//
+// options:
+//   input: a readable stream
+//   types, conflict, dryRun, progressEvery, onProgress: see DataStore.importData
+//   idField: the drivers' id field
+function importData( target, options, callback ) {
+    var idField = options.idField || 'id';
+    var conflict = options.conflict || 'fail';
+    var skipped = {};
+    var lineNumber = 0;
+    var current = null;
+
+    var report = {
+        dryRun: !!options.dryRun,
+        types: {},
+        created: 0,
+        overwritten: 0,
+        skipped: 0,
+        entries: 0,
+        skippedEntries: 0
+    };
+
+    var counts = {
+        progress: function() {
+            return extendCounts( {
+                type: current
+            }, current ? report.types[ current ] : report );
+        }
+    };
+
+    function extendCounts( progress, source ) {
+        [ 'created', 'overwritten', 'skipped', 'entries', 'skippedEntries' ].forEach( function( key ) {
+            progress[ key ] = source[ key ];
+        } );
+        return progress;
+    }
+
+    function count( type, key ) {
+        report.types[ type ] = report.types[ type ] || {
+            created: 0,
+            overwritten: 0,
+            skipped: 0,
+            entries: 0,
+            skippedEntries: 0
+        };
+        report.types[ type ][ key ]++;
+        report[ key ]++;
+    }
+
+    if ( !options.input ) {
+        callback( new Error( 'You must specify an input stream to import.' ) );
+        return;
+    }
+
+    if ( [ 'fail', 'skip', 'overwrite' ].indexOf( conflict ) === -1 ) {
+        callback( {
+            error: 'invalid conflict policy',
+            message: 'The conflict policy must be one of: fail, skip, overwrite.',
+            code: 400
+        } );
+        return;
+    }
+
+    function importObject( record, next ) {
+        var id = record.object[ idField ];
+        target.get( record.type, id, function( error, existing ) {
+            if ( error ) {
+                next( error );
+                return;
+            }
+
+            if ( existing && conflict === 'fail' ) {
+                next( {
+                    error: 'id conflict',
+                    message: 'There is already a ' + record.type + ' with id: ' + id,
+                    code: 409
+                } );
+                return;
+            }
+
+            if ( existing && conflict === 'skip' ) {
+                skipped[ record.type + ':' + id ] = true;
+                count( record.type, 'skipped' );
+                next();
+                return;
+            }
+
+            count( record.type, existing ? 'overwritten' : 'created' );
+            if ( options.dryRun ) {
+                next();
+                return;
+            }
+
+            target.write( [ {
+                action: 'put',
+                type: record.type,
+                object: record.object,
+                options: {}
+            } ], next );
+        } );
+    }
+
+    // the history of an object that was skipped would be mixed up with the stored object's
+    function importEntry( record, next ) {
+        if ( skipped[ record.type + ':' + record.entry.objectId ] ) {
+            count( record.type, 'skippedEntries' );
+            next();
+            return;
+        }
+
+        count( record.type, 'entries' );
+        if ( options.dryRun ) {
+            next();
+            return;
+        }
+
+        async.each( target.loggers, function( logger, done ) {
+            logger.put( 'auditlogentry', record.entry, {}, done );
+        }, next );
+    }
+
+    _eachItem( _lines( options.input ), function( line, next ) {
+        lineNumber++;
+
+        _parseLine( line, lineNumber, function( error, record ) {
+            if ( error || lineNumber === 1 || ( options.types && options.types.indexOf( record.type ) === -1 ) ) {
+                next( error );
+                return;
+            }
+
+            if ( current !== record.type ) {
+                if ( current ) {
+                    _progress( options, counts, true );
+                }
+                current = record.type;
+            }
+
+            _progress( options, counts );
+            ( record.object ? importObject : importEntry )( record, next );
+        } );
+    }, function( error ) {
+        if ( current ) {
+            _progress( options, counts, true );
+        }
+
+        callback( error, report );
+    } );
+}
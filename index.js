@@ -6,16 +6,38 @@ var async = require( 'async' );
 var diff = require( 'deep-diff' );
 var EventEmitter = require( 'events' ).EventEmitter;
 var extend = require( 'extend' );
+var stream = require( 'stream' );
 var util = require( 'util' );
 var uuid = require( 'node-uuid' );
 
 var DataStore = require( './datastore/index.js' );
-
-// TODO: websocket support for pushing diffs out?
+var history = require( './datastore/history.js' );
+var promises = require( './datastore/promises.js' );
+var query = require( './datastore/query.js' );
+var schemas = require( './schemas.js' );
 
 var _defaults = {
     idField: 'id',
-    strict: true
+    versionField: '_version',
+    strict: true,
+    defaultQueryLimit: 100,
+    maxQueryLimit: 1000,
+    defaultLogLimit: 10,
+    maxLogLimit: 100,
+    logUserField: 'meta.user.id', // where log entries keep the id of the user who made the change
+    logRetention: null, // per type audit log retention policies, see compactLog
+    logArchive: null, // a driver expired audit log entries are copied to before they are removed
+    logCompactInterval: 0, // ms between background audit log compactions, 0 to disable
+    maxFollowBacklog: 1000, // entries a followLog reader can fall behind by before its feed is ended
+    stampUpdatedAt: true, // set updatedAt on objects that have one whenever they're written
+    softDelete: false, // move deleted objects to the trash instead of removing them
+    deletedField: '_deletedAt', // set on objects in the trash
+    trashRetention: 30 * 24 * 60 * 60 * 1000, // ms an object stays in the trash before purgeTrash removes it
+    checkReferences: false, // fail writes that reference objects that don't exist, see addReference
+    schemaVersionField: '_schemaVersion', // the last migration applied to an object, see addMigration
+    migrationUser: { // recorded in the audit log as the user who made migrations
+        id: 'system'
+    }
 };
 
 function Objecticon( options ) {
@@ -24,22 +46,104 @@ function Objecticon( options ) {
 
     self.options = extend( {}, _defaults, options );
     self.rules = {};
+    self.hooks = {};
+    self.schemas = {};
+    self.references = {};
+    self.migrations = {};
     self.ds = new DataStore( {
         idField: self.options.idField,
-        create: self.options.create,
-        drivers: self.options.drivers
+        versionField: self.options.versionField,
+        writePolicy: self.options.writePolicy,
+        retryInterval: self.options.retryInterval,
+        maxReplicaAttempts: self.options.maxReplicaAttempts,
+        readTimeout: self.options.readTimeout,
+        breakerThreshold: self.options.breakerThreshold,
+        breakerTimeout: self.options.breakerTimeout,
+        readAnyDriver: self.options.readAnyDriver,
+        outboxPath: self.options.outboxPath,
+        strictAudit: self.options.strictAudit,
+        logRetryInterval: self.options.logRetryInterval,
+        maxLogRetryInterval: self.options.maxLogRetryInterval,
+        maxLogBacklog: self.options.maxLogBacklog,
+        create: self.options.create || _createEmpty,
+        drivers: self.options.drivers,
+        loggers: self.options.loggers
+    } );
+
+    // audit log entries that couldn't be delivered, or with strictAudit, writes undone because of them
+    self.ds.on( 'logError', self.emit.bind( self, 'logError' ) );
+
+    // replicated writes a driver wouldn't take, see DataStore._getReplica
+    self.ds.on( 'replicationError', self.emit.bind( self, 'replicationError' ) );
+
+    // drivers that couldn't be filled from the primary on startup, see DataStore._rebuildDrivers
+    self.ds.on( 'rebuildError', self.emit.bind( self, 'rebuildError' ) );
+
+    Object.keys( self.options.schemas || {} ).forEach( function( type ) {
+        self.addSchema( type, self.options.schemas[ type ] );
+    } );
+
+    // eg: { user: { 1: function( user ) { ... }, 2: ... } }
+    Object.keys( self.options.migrations || {} ).forEach( function( type ) {
+        Object.keys( self.options.migrations[ type ] ).forEach( function( version ) {
+            self.addMigration( type, Number( version ), self.options.migrations[ type ][ version ] );
+        } );
+    } );
+
+    // eg: { post: { authorId: 'user', tagIds: { type: 'tag', check: true } } }
+    Object.keys( self.options.references || {} ).forEach( function( type ) {
+        Object.keys( self.options.references[ type ] ).forEach( function( field ) {
+            self.addReference( type, field, self.options.references[ type ][ field ] );
+        } );
     } );
 
+    if ( self.options.stampUpdatedAt ) {
+        self.addHook( '*', 'before', 'create', _stampUpdatedAt );
+        self.addHook( '*', 'before', 'update', _stampUpdatedAt );
+    }
+
+    if ( self.options.logRetention && self.options.logCompactInterval ) {
+        self.compactTimer = setInterval( function() {
+            self.compactLog( {}, function( error ) {
+                if ( error ) {
+                    self.emit( 'logError', {
+                        error: error
+                    } );
+                }
+            } );
+        }, self.options.logCompactInterval );
+        self.compactTimer.unref();
+    }
+
     return self;
 }
 
+function _stampUpdatedAt( opts, callback ) {
+    if ( typeof opts.updated.updatedAt !== 'undefined' ) {
+        opts.updated.updatedAt = new Date();
+    }
+    callback();
+}
+
+// with schemas providing defaults, a model factory is optional
+function _createEmpty() {
+    return {};
+}
+
 util.inherits( Objecticon, EventEmitter );
 
 Objecticon.prototype._createObject = function( opts, callback ) {
     var self = this;
-    opts.results = self.ds.create( opts.type );
+    opts.results = schemas.applyDefaults( self.schemas[ opts.type.toLowerCase() ], self.ds.create( opts.type ) || {} );
     opts.results.id = uuid.v4();
     opts.creating = true;
+
+    // new objects start out with the latest layout
+    var version = self._getSchemaVersion( opts.type );
+    if ( version ) {
+        opts.results[ self.options.schemaVersionField ] = version;
+    }
+
     callback();
 };
 
@@ -51,13 +155,16 @@ Objecticon.prototype._getObject = function( opts, callback ) {
     async.series( [
         // attempt to get the object
         function( next ) {
-            self.ds.get( opts.type, opts.id, function( error, _object ) {
+            self.ds.get( opts.type, opts.id, {}, function( error, _object, servedBy ) {
                 if ( error ) {
                     callback( error );
                     return;
                 }
 
-                results = _object;
+                opts.servedBy = servedBy;
+
+                // objects in the trash can only be restored or purged
+                results = self._isTrashed( _object ) ? null : _object;
                 next();
             } );
         },
@@ -76,6 +183,23 @@ Objecticon.prototype._getObject = function( opts, callback ) {
             } );
         },
 
+        // bring objects stored with an older layout up to date. the migration is only written back
+        // by _saveMigration, once the caller has checked its rules
+        function( next ) {
+            if ( !results ) {
+                next();
+                return;
+            }
+
+            self._migrate( opts.type, results, function( error, _migrated ) {
+                if ( _migrated ) {
+                    opts.unmigrated = results;
+                    results = _migrated;
+                }
+                next( error );
+            } );
+        },
+
         // create the object if necessary (for instance, when allowMissing is enabled)
         function( next ) {
             if ( results ) {
@@ -97,266 +221,1919 @@ Objecticon.prototype._getObject = function( opts, callback ) {
     } );
 };
 
-Objecticon.prototype._query = function( opts, callback ) {
+Objecticon.prototype._isTrashed = function( object ) {
     var self = this;
-    self.ds.query( opts.type, opts.query, {
-        view: opts.view
-    }, function( error, _results ) {
+    return !!( self.options.softDelete && object && object[ self.options.deletedField ] );
+};
+
+// like _getObject, but for objects in the trash
+Objecticon.prototype._getTrashed = function( opts, callback ) {
+    var self = this;
+
+    self.ds.get( opts.type, opts.id, function( error, _object ) {
         if ( error ) {
             callback( error );
             return;
         }
 
-        opts.results = _results;
+        if ( !self._isTrashed( _object ) ) {
+            callback( {
+                error: 'invalid id',
+                message: 'There is no ' + opts.type + ' in the trash with id: ' + opts.id,
+                code: 404
+            } );
+            return;
+        }
+
+        opts.results = _object;
         callback();
     } );
 };
 
-Objecticon.prototype._update = function( opts, callback ) {
+// the changes that move an object to the trash, or out of it
+Objecticon.prototype._getTrashChanges = function( opts, trashing, callback ) {
     var self = this;
 
-    async.series( [
-        self._applyChanges.bind( self, opts ),
-        self._checkTypeRules.bind( self, opts, 'write' ),
-        self._checkDiffRules.bind( self, opts, 'write' ),
-        self._write.bind( self, opts )
-    ], callback );
+    opts.changes = [ trashing ? {
+        kind: 'N',
+        path: [ self.options.deletedField ],
+        rhs: new Date()
+    } : {
+        kind: 'D',
+        path: [ self.options.deletedField ],
+        lhs: opts.results[ self.options.deletedField ]
+    } ];
+    opts.logAction = trashing ? 'trash' : 'restore';
+    callback();
 };
 
-Objecticon.prototype._remove = function( opts, callback ) {
+Objecticon.prototype._getVersion = function( object ) {
     var self = this;
-
-    async.series( [
-        self._checkTypeRules.bind( self, opts, 'delete' ),
-        self._delete.bind( self, opts )
-    ], callback );
+    return object && object[ self.options.versionField ] || 0;
 };
 
-Objecticon.prototype._getLog = function( opts, callback ) {
+// if the caller specified the version they expect to be changing, make sure it's current
+Objecticon.prototype._checkVersion = function( opts, callback ) {
     var self = this;
-    var limit = Math.min( opts.limit || 10, 100 );
-
-    self.ds.getLog( opts.type, opts.id, {
-        sort: {
-            createdAt: -1
-        },
-        limit: limit
-    }, function( error, _results ) {
-        if ( error ) {
-            callback( error );
-            return;
-        }
 
-        opts.results = _results;
+    if ( typeof opts.version === 'undefined' || opts.version === null ) {
         callback();
-    } );
-};
-
-Objecticon.prototype._getChanges = function( opts, callback ) {
-    // we accept a diff array on creation as well
-    if ( Array.isArray( opts.overlay ) ) {
-        opts.changes = opts.overlay;
+        return;
     }
-    else {
-        var incomingSettings = extend( true, {}, opts.results, opts.overlay );
-        opts.changes = diff( opts.results, incomingSettings ) || [];
+
+    var version = self._getVersion( opts.results );
+    if ( version === Number( opts.version ) ) {
+        callback();
+        return;
     }
-    callback();
-};
 
-Objecticon.prototype._applyChanges = function( opts, callback ) {
-    opts.updated = extend( true, {}, opts.results );
-    opts.changes.forEach( function( change ) {
-        diff.applyChange( opts.updated, true, change );
+    callback( {
+        error: 'version conflict',
+        message: 'The ' + opts.type + ' with id: ' + opts.id + ' is at version ' + version + ', not ' + opts.version + '.',
+        code: 409
     } );
-    if ( typeof opts.updated.updateAt !== 'undefined' ) {
-        opts.updated.updatedAt = new Date();
-    }
-    callback();
 };
 
-Objecticon.prototype._checkRules = function( opts, callback ) {
-    var self = this;
-
-    var type = opts.type.toLowerCase();
-    var action = opts.action.toLowerCase();
-    var field = opts.field || null;
+Objecticon.prototype._getLimit = function( limit, defaultLimit, maxLimit ) {
+    limit = parseInt( limit, 10 );
+    return Math.min( limit > 0 ? limit : defaultLimit, maxLimit );
+};
 
-    self.rules[ type ] = self.rules[ type ] || {};
-    self.rules[ type ][ action ] = self.rules[ type ][ action ] || {};
-    var rules = self.rules[ type ][ action ][ field ] || [];
+Objecticon.prototype._query = function( opts, callback ) {
+    var self = this;
 
-    if ( !field && self.options.strict && rules.length === 0 ) {
+    try {
+        query.decodeCursor( opts.cursor );
+    }
+    catch ( ex ) {
         callback( {
-            error: 'permission denied',
-            message: 'You do not have the required permissions.',
+            error: 'invalid cursor',
+            message: ex.message,
             code: 400
         } );
         return;
     }
 
-    async.each( rules, function( rule, next ) {
-        rule( opts, next );
-    }, callback );
-};
+    // types with migrations are read whole and projected once they're migrated, see _storeMigrations
+    var view = opts.view && Object.keys( opts.view ).length ? opts.view : null;
+    opts.project = view && !opts.trashed && self._getSchemaVersion( opts.type ) ? view : null;
 
-Objecticon.prototype._checkTypeRules = function( opts, action, callback ) {
-    var self = this;
-    self._checkRules( extend( {}, opts, {
-        action: action
-    } ), callback );
-};
+    var readOptions = {
+        view: opts.project ? undefined : opts.view,
+        sort: opts.sort,
+        limit: self._getLimit( opts.limit, self.options.defaultQueryLimit, self.options.maxQueryLimit ),
+        cursor: opts.cursor,
+        count: !!opts.count
+    };
 
-Objecticon.prototype._checkDiffRules = function( opts, action, callback ) {
-    var self = this;
-    async.each( opts.changes, function( change, next ) {
-        var field = change.path.join( '.' );
-        self._checkRules( extend( {}, opts, {
-            action: action,
-            field: field,
-            change: change
-        } ), next );
-    }, callback );
+    self.ds.query( opts.type, opts.query, readOptions, function( error, _results, _page, servedBy ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.servedBy = servedBy;
+        opts.results = _results;
+        opts.page = _page || {
+            next: null
+        };
+        callback();
+    } );
 };
 
-Objecticon.prototype._write = function( opts, callback ) {
+// 'criteria' rules yield a query fragment, eg: { ownerId: opts.meta.user.id }, that every result
+// must also match, so that filtering happens in the database
+Objecticon.prototype._addCriteria = function( opts, callback ) {
     var self = this;
-    self.ds.put( opts.type, opts.updated, extend( {}, opts.meta, {
-        diff: JSON.stringify( opts.changes )
-    } ), function( error ) {
+
+    var rules = self._getRules( opts.type, 'criteria' );
+    var trash = self._getTrashCriteria( opts );
+    if ( rules.length === 0 && !trash ) {
+        callback();
+        return;
+    }
+
+    async.map( rules, function( rule, next ) {
+        promises.invoke( rule, opts, next );
+    }, function( error, fragments ) {
         if ( error ) {
             callback( error );
             return;
         }
 
-        opts.results = opts.updated;
+        try {
+            opts.query = {
+                $and: [ query.compile( opts.query ) ].concat( fragments.concat( trash ).filter( Boolean ).map( function( fragment ) {
+                    return query.compile( fragment );
+                } ) )
+            };
+        }
+        catch ( ex ) {
+            callback( {
+                error: 'invalid query',
+                message: ex.message,
+                code: 400
+            } );
+            return;
+        }
+
         callback();
     } );
 };
 
-Objecticon.prototype._delete = function( opts, callback ) {
+// with soft delete on, queries only see objects in the trash when opts.trashed is set, and only
+// objects outside it otherwise
+Objecticon.prototype._getTrashCriteria = function( opts ) {
     var self = this;
-    self.ds.delete( opts.type, opts.id, extend( {}, opts.meta ), callback );
+
+    if ( !self.options.softDelete ) {
+        return null;
+    }
+
+    var criteria = {};
+    criteria[ self.options.deletedField ] = {
+        $exists: !!opts.trashed
+    };
+    return criteria;
 };
 
-Objecticon.prototype.addRule = function( type, action, field, rule ) {
+// query and search rules are checked against each result in turn, with opts.results set to that
+// result, and results that are denied with a 403 are left out rather than failing the whole request
+Objecticon.prototype._checkResultRules = function( opts, action, callback ) {
     var self = this;
 
-    if ( typeof field === 'function' ) {
-        rule = field;
-        field = null;
+    var rules = self._getRules( opts.type, action );
+    if ( rules.length === 0 || !Array.isArray( opts.results ) ) {
+        // no rules is either a permission error in strict mode, or allowed
+        self._checkTypeRules( opts, action, callback );
+        return;
     }
 
-    type = type.toLowerCase();
-    action = action.toLowerCase();
+    async.map( opts.results, function( result, next ) {
+        self._checkTypeRules( extend( {}, opts, {
+            results: result
+        } ), action, function( error ) {
+            // a result the rules refuse is left out, any other error fails the read
+            if ( error && error.code !== 403 ) {
+                next( error );
+                return;
+            }
 
-    self.rules[ type ] = self.rules[ type ] || {};
-    self.rules[ type ][ action ] = self.rules[ type ][ action ] || {};
-    self.rules[ type ][ action ][ field ] = self.rules[ type ][ action ][ field ] || [];
-    self.rules[ type ][ action ][ field ].push( rule );
+            next( null, !error );
+        } );
+    }, function( error, allowed ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.results = opts.results.filter( function( result, index ) {
+            return allowed[ index ];
+        } );
+        callback( error );
+    } );
 };
 
-Objecticon.prototype.removeRule = function( type, action, field, rule ) {
+Objecticon.prototype._search = function( opts, callback ) {
     var self = this;
 
-    if ( typeof field === 'function' ) {
-        rule = field;
-        field = null;
+    if ( typeof opts.q !== 'string' || !opts.q.trim() ) {
+        callback( {
+            error: 'invalid search',
+            message: 'You must specify some text to search for.',
+            code: 400
+        } );
+        return;
     }
 
-    type = type.toLowerCase();
-    action = action.toLowerCase();
-
-    self.rules[ type ] = self.rules[ type ] || {};
-    self.rules[ type ][ action ] = self.rules[ type ][ action ] || {};
-    var rules = self.rules[ type ][ action ][ field ] || [];
+    // search drivers can't take criteria, so trashed objects are left out afterwards, which means
+    // views that pick fields need the deleted field added
+    var deletedField = self.options.deletedField;
+    var view = opts.view;
+    var addDeletedField = self.options.softDelete && view && Object.keys( view ).some( function( field ) {
+        return view[ field ] && !view[ deletedField ];
+    } );
 
-    for ( var i = rules.length - 1; i >= 0; --i ) {
-        var existingRule = rules[ i ];
-        if ( rule === existingRule ) {
-            rules.splice( i, 1 );
-        }
+    if ( addDeletedField ) {
+        view = extend( {}, view );
+        view[ deletedField ] = 1;
     }
-};
 
-Objecticon.prototype.create = function( opts, callback ) {
-    var self = this;
+    var readOptions = {
+        view: view,
+        limit: self._getLimit( opts.limit, self.options.defaultQueryLimit, self.options.maxQueryLimit )
+    };
 
-    async.series( [
-        self._createObject.bind( self, opts ),
-        self._getChanges.bind( self, opts ),
-        self._update.bind( self, opts )
-    ], function( error ) {
+    self.ds.search( opts.type, opts.q, readOptions, function( error, _results, servedBy ) {
         if ( error ) {
             callback( error );
             return;
         }
 
-        callback( null, opts.results );
+        opts.servedBy = servedBy;
+        opts.results = ( _results || [] ).filter( function( result ) {
+            return !self._isTrashed( result );
+        } );
 
-        var event = {
-            type: opts.type,
-            obj: opts.results
-        };
+        if ( addDeletedField ) {
+            opts.results.forEach( function( result ) {
+                delete result[ deletedField ];
+            } );
+        }
 
-        self.emit( 'created', event );
-        self.emit( 'created.' + event.type, event );
+        callback();
     } );
 };
 
-Objecticon.prototype.get = function( opts, callback ) {
+// action is the hook action, 'create' or 'update'
+Objecticon.prototype._update = function( opts, action, callback ) {
     var self = this;
 
-    opts.results = null;
-
     async.series( [
-        self._getObject.bind( self, opts ),
-        self._checkTypeRules.bind( self, opts, 'read' )
-    ], function( error ) {
-        callback( error, opts.results );
-    } );
+        self._prepareUpdate.bind( self, opts, action ),
+        self._write.bind( self, opts ),
+        self._runHooks.bind( self, opts, 'after', action )
+    ], callback );
 };
 
-Objecticon.prototype.delete = function( opts, callback ) {
+// everything short of writing: applies the changes, runs the before hooks and checks the result
+// against the rules and schema
+Objecticon.prototype._prepareUpdate = function( opts, action, callback ) {
     var self = this;
 
     async.series( [
-        self._getObject.bind( self, opts ),
-        self._checkTypeRules.bind( self, opts, 'delete' ),
-        self._delete.bind( self, opts )
-    ], function( error ) {
-        callback( error );
-    } );
+        self._applyChanges.bind( self, opts ),
+        self._runBeforeWriteHooks.bind( self, opts, action ),
+        self._checkTypeRules.bind( self, opts, 'write' ),
+        self._checkDiffRules.bind( self, opts, 'write' ),
+        self._validate.bind( self, opts ),
+        self._checkReferences.bind( self, opts )
+    ], callback );
 };
 
-Objecticon.prototype.query = function( opts, callback ) {
+// gets a batch operation ready to write, running the same checks as create, update or delete
+Objecticon.prototype._prepareOperation = function( opts, callback ) {
     var self = this;
 
-    opts.results = null;
-
-    async.series( [
-        self._query.bind( self, opts ),
-        self._checkTypeRules.bind( self, opts, 'query' )
-    ], function( error ) {
-        if ( error ) {
-            callback( error );
-            return;
-        }
-
-        callback( null, opts.results );
-    } );
+    switch ( opts.action ) {
+        case 'create':
+            async.series( [
+                self._createObject.bind( self, opts ),
+                self._getChanges.bind( self, opts ),
+                self._prepareUpdate.bind( self, opts, 'create' )
+            ], callback );
+            break;
+
+        case 'update':
+            opts.allowMissing = true;
+            async.series( [
+                self._getObject.bind( self, opts ),
+                self._checkVersion.bind( self, opts ),
+                self._saveMigration.bind( self, opts ),
+
+                // updates take a diff, as with update(), or an overlay, as with create()
+                function( next ) {
+                    if ( Array.isArray( opts.changes ) ) {
+                        next();
+                        return;
+                    }
+
+                    self._getChanges( opts, next );
+                },
+
+                self._prepareUpdate.bind( self, opts, 'update' )
+            ], callback );
+            break;
+
+        case 'delete':
+            async.series( [
+                self._getObject.bind( self, opts ),
+                self._checkVersion.bind( self, opts ),
+                self._checkTypeRules.bind( self, opts, 'delete' ),
+                self._saveMigration.bind( self, opts ),
+                self._runHooks.bind( self, opts, 'before', 'delete' ),
+
+                // soft deletes are written as changes
+                function( next ) {
+                    if ( !self.options.softDelete ) {
+                        next();
+                        return;
+                    }
+
+                    async.series( [
+                        self._getTrashChanges.bind( self, opts, true ),
+                        self._applyChanges.bind( self, opts )
+                    ], next );
+                }
+            ], callback );
+            break;
+
+        default:
+            callback( {
+                error: 'invalid operation',
+                message: 'Batch operations must be one of: create, update, delete.',
+                code: 400
+            } );
+    }
 };
 
-Objecticon.prototype.update = function( opts, callback ) {
+// the datastore operation for a prepared batch operation
+Objecticon.prototype._getOperation = function( opts ) {
     var self = this;
 
-    opts = extend( opts, {
-        allowMissing: true
-    } );
+    var expectedVersion = self._getVersion( opts.results );
 
-    async.series( [
+    if ( opts.action === 'delete' && !self.options.softDelete ) {
+        return {
+            action: 'delete',
+            type: opts.type,
+            id: opts.id,
+            previous: opts.results,
+            meta: extend( {}, opts.meta ),
+            options: {
+                expectedVersion: expectedVersion
+            }
+        };
+    }
+
+    opts.diff = diff( opts.creating ? {} : opts.results, opts.updated ) || [];
+
+    return {
+        action: 'put',
+        type: opts.type,
+        object: opts.updated,
+        previous: opts.creating ? null : opts.results,
+        meta: extend( {}, opts.meta, {
+            diff: JSON.stringify( opts.diff )
+        } ),
+        logAction: opts.logAction,
+        options: {
+            expectedVersion: expectedVersion
+        }
+    };
+};
+
+// the fields objecticon sets on objects itself
+Objecticon.prototype._getServerFields = function() {
+    var self = this;
+
+    var fields = [
+        self.options.idField,
+        self.options.versionField,
+        self.options.deletedField,
+        self.options.schemaVersionField
+    ];
+
+    if ( self.options.stampUpdatedAt ) {
+        fields.push( 'updatedAt' );
+    }
+
+    return fields;
+};
+
+Objecticon.prototype._validate = function( opts, callback ) {
+    var self = this;
+
+    var schema = self.schemas[ opts.type.toLowerCase() ];
+    var errors = schema ? schemas.validate( schema, opts.updated, self._getServerFields() ) : [];
+    if ( errors.length === 0 ) {
+        callback();
+        return;
+    }
+
+    callback( {
+        error: 'invalid object',
+        message: 'The ' + opts.type + ' is not valid: ' + errors.map( function( error ) {
+            return error.path + ': ' + error.message;
+        } ).join( ', ' ),
+        code: 400,
+        errors: errors
+    } );
+};
+
+// the ids in a reference field, which holds a single id or a list of them
+function _getReferenceIds( value ) {
+    return ( Array.isArray( value ) ? value : [ value ] ).filter( function( id ) {
+        return typeof id !== 'undefined' && id !== null && id !== '';
+    } );
+}
+
+// reads the objects of a type with the given ids in one query, calling back with a map of id to
+// object. objects in the trash are left out.
+Objecticon.prototype._getReferenced = function( type, ids, callback ) {
+    var self = this;
+
+    if ( ids.length === 0 ) {
+        callback( null, {} );
+        return;
+    }
+
+    var criteria = {};
+    criteria[ self.options.idField ] = {
+        $in: ids
+    };
+
+    var trash = self._getTrashCriteria( {} );
+    self.ds.query( type, trash ? {
+        $and: [ criteria, trash ]
+    } : criteria, {
+        limit: ids.length
+    }, function( error, _results ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var objects = {};
+        ( _results || [] ).forEach( function( object ) {
+            objects[ String( object[ self.options.idField ] ) ] = object;
+        } );
+        callback( null, objects );
+    } );
+};
+
+// with a reference's check option, or options.checkReferences, objects can't be written with
+// references to objects that don't exist. only ids that weren't already there are checked.
+Objecticon.prototype._checkReferences = function( opts, callback ) {
+    var self = this;
+
+    var references = self.references[ opts.type.toLowerCase() ] || {};
+    async.eachSeries( Object.keys( references ), function( field, next ) {
+        var reference = references[ field ];
+        var check = typeof reference.check === 'boolean' ? reference.check : self.options.checkReferences;
+        if ( !check ) {
+            next();
+            return;
+        }
+
+        var existing = _getReferenceIds( opts.creating ? null : opts.results && opts.results[ field ] ).map( String );
+        var ids = _getReferenceIds( opts.updated[ field ] ).filter( function( id ) {
+            return existing.indexOf( String( id ) ) === -1;
+        } );
+
+        self._getReferenced( reference.type, ids, function( error, objects ) {
+            if ( error ) {
+                next( error );
+                return;
+            }
+
+            var missing = ids.filter( function( id ) {
+                return !objects[ String( id ) ];
+            } );
+
+            if ( missing.length ) {
+                next( {
+                    error: 'invalid reference',
+                    message: 'The ' + opts.type + ' field ' + field + ' references ' + reference.type + ' that does not exist: ' + missing.join( ', ' ),
+                    code: 400
+                } );
+                return;
+            }
+
+            next();
+        } );
+    }, callback );
+};
+
+// resolves the reference fields named in opts.expand, a list or a comma separated string, on
+// opts.results, with a single read for each field. each referenced object goes through its own
+// type's read rules: one the reader can't see expands to null, or is left out of a list.
+Objecticon.prototype._expand = function( opts, callback ) {
+    var self = this;
+
+    var fields = typeof opts.expand === 'string' ? opts.expand.split( ',' ) : ( opts.expand || [] );
+    if ( fields.length === 0 || !opts.results ) {
+        callback();
+        return;
+    }
+
+    var references = self.references[ opts.type.toLowerCase() ] || {};
+    var invalid = fields.filter( function( field ) {
+        return !references[ field ];
+    } );
+
+    if ( invalid.length ) {
+        callback( {
+            error: 'invalid expand',
+            message: 'The ' + opts.type + ' has no reference field: ' + invalid.join( ', ' ),
+            code: 400
+        } );
+        return;
+    }
+
+    var results = Array.isArray( opts.results ) ? opts.results : [ opts.results ];
+
+    async.eachSeries( fields, function( field, next ) {
+        var reference = references[ field ];
+
+        var ids = {};
+        results.forEach( function( result ) {
+            _getReferenceIds( result[ field ] ).forEach( function( id ) {
+                ids[ String( id ) ] = id;
+            } );
+        } );
+
+        async.waterfall( [
+            self._getReferenced.bind( self, reference.type, Object.keys( ids ).map( function( key ) {
+                return ids[ key ];
+            } ) ),
+
+            function( objects, done ) {
+                var readable = {};
+                async.eachSeries( Object.keys( objects ), function( id, checked ) {
+                    var objectOpts = extend( {}, opts, {
+                        type: reference.type,
+                        id: id,
+                        results: objects[ id ],
+                        diff: null
+                    } );
+
+                    self._checkTypeRules( objectOpts, 'read', function( error ) {
+                        if ( error ) {
+                            checked();
+                            return;
+                        }
+
+                        self._filterFields( objectOpts, function( error ) {
+                            readable[ id ] = objectOpts.results;
+                            checked( error );
+                        } );
+                    } );
+                }, function( error ) {
+                    done( error, readable );
+                } );
+            }
+        ], function( error, readable ) {
+            if ( error ) {
+                next( error );
+                return;
+            }
+
+            results.forEach( function( result ) {
+                var value = result[ field ];
+                if ( typeof value === 'undefined' || value === null ) {
+                    return;
+                }
+
+                result[ reference.as ] = Array.isArray( value ) ? value.map( function( id ) {
+                    return readable[ String( id ) ];
+                } ).filter( Boolean ) : readable[ String( value ) ] || null;
+            } );
+            next();
+        } );
+    }, callback );
+};
+
+// the version of the latest migration for a type, 0 if it has none
+Objecticon.prototype._getSchemaVersion = function( type ) {
+    var self = this;
+
+    var migrations = self.migrations[ type.toLowerCase() ] || [];
+    return migrations.length ? migrations[ migrations.length - 1 ].version : 0;
+};
+
+// applies the type's migrations newer than the object's schema version, in order, to a copy of the
+// object. calls back with the copy, or null if the object is already up to date.
+Objecticon.prototype._migrate = function( type, object, callback ) {
+    var self = this;
+
+    var field = self.options.schemaVersionField;
+    var migrations = ( self.migrations[ type.toLowerCase() ] || [] ).filter( function( migration ) {
+        return migration.version > ( object[ field ] || 0 );
+    } );
+
+    if ( migrations.length === 0 ) {
+        callback( null, null );
+        return;
+    }
+
+    var migrated = extend( true, {}, object );
+    async.eachSeries( migrations, function( migration, next ) {
+        promises.invoke( migration.migrate, migrated, function( error, result ) {
+            if ( error ) {
+                next( error );
+                return;
+            }
+
+            migrated = result && typeof result === 'object' ? result : migrated;
+            migrated[ field ] = migration.version;
+            next();
+        } );
+    }, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        // migrations change an object's layout, not which object it is. the version is bumped when
+        // the object is written back, see _writeMigration
+        migrated[ self.options.idField ] = object[ self.options.idField ];
+        migrated[ self.options.versionField ] = object[ self.options.versionField ];
+        callback( null, migrated );
+    } );
+};
+
+// migrated objects are logged as written by options.migrationUser, with a 'migrate' action, at the
+// next version. calls back with the object as written.
+Objecticon.prototype._writeMigration = function( type, previous, migrated, callback ) {
+    var self = this;
+
+    var field = self.options.schemaVersionField;
+    var written = extend( {}, migrated );
+    written[ self.options.versionField ] = self._getVersion( previous ) + 1;
+
+    self.ds.put( type, written, {
+        meta: {
+            user: self.options.migrationUser,
+            diff: JSON.stringify( diff( previous, written ) || [] ),
+            migration: {
+                from: previous[ field ] || 0,
+                to: written[ field ]
+            }
+        },
+        expectedVersion: self._getVersion( previous ),
+        action: 'migrate',
+        previous: previous
+    }, function( error ) {
+        callback( error, written );
+    } );
+};
+
+// writes back an object migrated on read, calling back with the object as it should be returned. a
+// failed write doesn't fail the read: a version conflict means the object was written since, and
+// will be migrated when it's next read, and other errors are emitted as 'migrationError' events.
+Objecticon.prototype._storeMigration = function( type, previous, migrated, callback ) {
+    var self = this;
+
+    self._writeMigration( type, previous, migrated, function( error, written ) {
+        if ( error && error.code !== 409 ) {
+            self.emit( 'migrationError', {
+                error: error,
+                type: type,
+                id: previous[ self.options.idField ]
+            } );
+        }
+
+        callback( null, error ? migrated : written );
+    } );
+};
+
+// writes back the object _getObject migrated
+Objecticon.prototype._saveMigration = function( opts, callback ) {
+    var self = this;
+
+    var previous = opts.unmigrated;
+    if ( !previous ) {
+        callback();
+        return;
+    }
+
+    opts.unmigrated = null;
+    self._storeMigration( opts.type, previous, opts.results, function( error, _stored ) {
+        opts.results = _stored;
+        callback( error );
+    } );
+};
+
+// migrates query results before the rules are checked. they're only written back by
+// _storeMigrations, for the results the reader is allowed to see
+Objecticon.prototype._migrateResults = function( opts, callback ) {
+    var self = this;
+
+    opts.migrations = [];
+    async.mapSeries( opts.results, function( result, next ) {
+        self._migrate( opts.type, result, function( error, _migrated ) {
+            if ( _migrated ) {
+                opts.migrations.push( {
+                    previous: result,
+                    migrated: _migrated
+                } );
+            }
+            next( error, _migrated || result );
+        } );
+    }, function( error, _results ) {
+        opts.results = _results;
+        callback( error );
+    } );
+};
+
+// writes back the migrated results that passed the rules, then applies a view that _query left
+// for afterwards so that whole objects could be migrated
+Objecticon.prototype._storeMigrations = function( opts, callback ) {
+    var self = this;
+
+    var migrations = opts.migrations || [];
+    opts.migrations = null;
+
+    async.mapSeries( opts.results, function( result, next ) {
+        var migration = migrations.filter( function( _migration ) {
+            return _migration.migrated === result;
+        } )[ 0 ];
+
+        if ( !migration ) {
+            next( null, result );
+            return;
+        }
+
+        self._storeMigration( opts.type, migration.previous, result, next );
+    }, function( error, _results ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.results = opts.project ? _results.map( function( result ) {
+            return query.project( result, opts.project, self.options.idField );
+        } ) : _results;
+        callback();
+    } );
+};
+
+Objecticon.prototype._remove = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._checkTypeRules.bind( self, opts, 'delete' ),
+        self._delete.bind( self, opts )
+    ], callback );
+};
+
+Objecticon.prototype._getLog = function( opts, callback ) {
+    var self = this;
+    var limit = self._getLimit( opts.limit, self.options.defaultLogLimit, self.options.maxLogLimit );
+
+    self.ds.getLog( opts.type, opts.id, {
+        sort: {
+            createdAt: -1
+        },
+        limit: limit
+    }, function( error, _results ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.results = _results;
+        callback();
+    } );
+};
+
+// builds opts.criteria for queryLog and followLog from opts.type, id, action (one or a list), user,
+// since and until
+Objecticon.prototype._getLogCriteria = function( opts, callback ) {
+    var self = this;
+
+    var criteria = {};
+    if ( opts.type ) {
+        criteria.type = opts.type;
+    }
+
+    if ( opts.id ) {
+        criteria.objectId = opts.id;
+    }
+
+    if ( opts.action ) {
+        criteria.action = Array.isArray( opts.action ) ? {
+            $in: opts.action
+        } : opts.action;
+    }
+
+    if ( opts.user ) {
+        criteria[ self.options.logUserField ] = opts.user;
+    }
+
+    var range = {};
+    var invalid = [ 'since', 'until' ].filter( function( bound ) {
+        if ( !opts[ bound ] ) {
+            return false;
+        }
+
+        var time = new Date( opts[ bound ] );
+        range[ bound === 'since' ? '$gte' : '$lt' ] = time;
+        return isNaN( time.getTime() );
+    } )[ 0 ];
+
+    if ( invalid ) {
+        callback( {
+            error: 'invalid time',
+            message: 'You must specify a valid time for ' + invalid + ', not: ' + opts[ invalid ],
+            code: 400
+        } );
+        return;
+    }
+
+    if ( Object.keys( range ).length ) {
+        criteria.createdAt = range;
+    }
+
+    opts.criteria = criteria;
+    callback();
+};
+
+// a query for a single type needs its log rules to pass, like getLog does. entries for other
+// types are filtered by _filterLogEntries.
+Objecticon.prototype._checkLogType = function( opts, callback ) {
+    var self = this;
+
+    if ( !opts.type ) {
+        callback();
+        return;
+    }
+
+    self._checkTypeRules( opts, 'log', callback );
+};
+
+Objecticon.prototype._queryLog = function( opts, callback ) {
+    var self = this;
+
+    try {
+        query.decodeCursor( opts.cursor );
+    }
+    catch ( ex ) {
+        callback( {
+            error: 'invalid cursor',
+            message: ex.message,
+            code: 400
+        } );
+        return;
+    }
+
+    self.ds.queryLog( opts.criteria, {
+        sort: opts.sort || {
+            createdAt: -1
+        },
+        limit: self._getLimit( opts.limit, self.options.defaultLogLimit, self.options.maxLogLimit ),
+        cursor: opts.cursor,
+        count: !!opts.count
+    }, function( error, _results, _page ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.results = _results || [];
+        opts.page = _page || {
+            next: null
+        };
+        callback();
+    } );
+};
+
+// drops entries for objects whose log the reader may not see, and hides changes to fields they
+// may not read, checking each object once
+Objecticon.prototype._filterLogEntries = function( opts, callback ) {
+    var self = this;
+
+    var groups = {};
+    opts.results.forEach( function( entry ) {
+        var key = entry.type + ':' + entry.objectId;
+        groups[ key ] = groups[ key ] || [];
+        groups[ key ].push( entry );
+    } );
+
+    var filtered = {};
+    async.eachSeries( Object.keys( groups ), function( key, next ) {
+        var entryOpts = extend( {}, opts, {
+            type: groups[ key ][ 0 ].type,
+            id: groups[ key ][ 0 ].objectId,
+            results: groups[ key ]
+        } );
+
+        // a failed rule just leaves the entries out
+        self._checkTypeRules( entryOpts, 'log', function( error ) {
+            if ( error ) {
+                next();
+                return;
+            }
+
+            self._filterLog( entryOpts, function( error ) {
+                filtered[ key ] = entryOpts.results;
+                next( error );
+            } );
+        } );
+    }, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        // put the entries back in order
+        var used = {};
+        opts.results = opts.results.map( function( entry ) {
+            var key = entry.type + ':' + entry.objectId;
+            used[ key ] = ( used[ key ] || 0 ) + 1;
+            return filtered[ key ] && filtered[ key ][ used[ key ] - 1 ];
+        } ).filter( Boolean );
+        callback();
+    } );
+};
+
+Objecticon.prototype._getHistory = function( opts, callback ) {
+    var self = this;
+
+    self.ds.getLog( opts.type, opts.id, {}, function( error, _entries ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.history = history.sortEntries( _entries || [], self.options.versionField );
+        callback();
+    } );
+};
+
+// rebuilds the object as it was at opts.at, a log entry id or a point in time
+Objecticon.prototype._replayHistory = function( opts, callback ) {
+    var self = this;
+
+    var entries = history.entriesUntil( opts.history, opts.at, self.ds.options.idField, self.options.versionField );
+    if ( !entries ) {
+        callback( {
+            error: 'invalid time',
+            message: 'You must specify a valid time or log entry id, not: ' + opts.at,
+            code: 400
+        } );
+        return;
+    }
+
+    opts.results = history.replay( entries, self.options.versionField );
+    if ( !opts.results ) {
+        callback( {
+            error: 'invalid id',
+            message: 'There was no ' + opts.type + ' with id: ' + opts.id + ' at: ' + opts.at,
+            code: 404
+        } );
+        return;
+    }
+
+    callback();
+};
+
+// finds the object as it was after the opts.toLogEntry log entry
+Objecticon.prototype._getRevision = function( opts, callback ) {
+    var self = this;
+
+    var entries = history.entriesUntil( opts.history, opts.toLogEntry, self.ds.options.idField, self.options.versionField );
+    var last = entries && entries[ entries.length - 1 ];
+    if ( !last || history.getEntryId( last, self.ds.options.idField ) !== String( opts.toLogEntry ) ) {
+        callback( {
+            error: 'invalid log entry',
+            message: 'There is no log entry for ' + opts.type + ' with id: ' + opts.id + ' and entry id: ' + opts.toLogEntry,
+            code: 404
+        } );
+        return;
+    }
+
+    opts.revision = history.replay( entries, self.options.versionField );
+    if ( !opts.revision ) {
+        callback( {
+            error: 'invalid revision',
+            message: 'The ' + opts.type + ' with id: ' + opts.id + ' was deleted at log entry: ' + opts.toLogEntry,
+            code: 400
+        } );
+        return;
+    }
+
+    callback();
+};
+
+// unlike _getObject, a missing object is not created from scratch, since a revert restores it
+Objecticon.prototype._getCurrent = function( opts, callback ) {
+    var self = this;
+
+    self.ds.get( opts.type, opts.id, function( error, _object ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.creating = !_object;
+        opts.results = _object || {};
+        callback();
+    } );
+};
+
+// the changes that take the current object back to the revision, leaving the version to _applyChanges.
+// an object that has been deleted since carries on from its last version, so versions, and the etags
+// made from them, never repeat.
+Objecticon.prototype._getRevertChanges = function( opts, callback ) {
+    var self = this;
+
+    if ( opts.creating ) {
+        opts.lastVersion = history.getLastVersion( opts.history, self.options.versionField );
+    }
+
+    var current = extend( true, {}, opts.results );
+    var revision = extend( true, {}, opts.revision );
+    delete current[ self.options.versionField ];
+    delete revision[ self.options.versionField ];
+
+    opts.changes = diff( current, revision ) || [];
+    opts.meta = extend( {}, opts.meta, {
+        revertedTo: opts.toLogEntry
+    } );
+    callback();
+};
+
+Objecticon.prototype._getChanges = function( opts, callback ) {
+    // we accept a diff array on creation as well
+    if ( Array.isArray( opts.overlay ) ) {
+        opts.changes = opts.overlay;
+    }
+    else {
+        var incomingSettings = extend( true, {}, opts.results, opts.overlay );
+        opts.changes = diff( opts.results, incomingSettings ) || [];
+    }
+    callback();
+};
+
+Objecticon.prototype._applyChanges = function( opts, callback ) {
+    var self = this;
+    opts.updated = extend( true, {}, opts.results );
+    opts.changes.forEach( function( change ) {
+        diff.applyChange( opts.updated, true, change );
+    } );
+    opts.updated[ self.options.versionField ] = Math.max( self._getVersion( opts.results ), opts.lastVersion || 0 ) + 1;
+    callback();
+};
+
+Objecticon.prototype._getHooks = function( type, when, action ) {
+    var self = this;
+
+    var hooks = [];
+    [ '*', type.toLowerCase() ].forEach( function( _type ) {
+        var typeHooks = self.hooks[ _type ] && self.hooks[ _type ][ action ];
+        hooks = hooks.concat( typeHooks && typeHooks[ when ] || [] );
+    } );
+    return hooks;
+};
+
+// hooks run one after another, hooks for every type ('*') first, and any error aborts the operation
+Objecticon.prototype._runHooks = function( opts, when, action, callback ) {
+    var self = this;
+
+    async.eachSeries( self._getHooks( opts.type, when, action ), function( hook, next ) {
+        promises.invoke( hook, opts, next );
+    }, callback );
+};
+
+// before write hooks can change opts.updated directly, or add to opts.changes, in which case the
+// new changes are applied too and checked against the write rules along with the caller's
+Objecticon.prototype._runBeforeWriteHooks = function( opts, action, callback ) {
+    var self = this;
+
+    var count = opts.changes.length;
+    self._runHooks( opts, 'before', action, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.changes.slice( count ).forEach( function( change ) {
+            diff.applyChange( opts.updated, true, change );
+        } );
+        callback();
+    } );
+};
+
+Objecticon.prototype._getRules = function( type, action, field ) {
+    var self = this;
+
+    type = type.toLowerCase();
+    action = action.toLowerCase();
+
+    self.rules[ type ] = self.rules[ type ] || {};
+    self.rules[ type ][ action ] = self.rules[ type ][ action ] || {};
+    return self.rules[ type ][ action ][ field || null ] || [];
+};
+
+Objecticon.prototype._checkRules = function( opts, callback ) {
+    var self = this;
+
+    var field = opts.field || null;
+    var rules = self._getRules( opts.type, opts.action, field );
+
+    if ( !field && self.options.strict && rules.length === 0 ) {
+        callback( {
+            error: 'permission denied',
+            message: 'You do not have the required permissions.',
+            code: 400
+        } );
+        return;
+    }
+
+    async.each( rules, function( rule, next ) {
+        promises.invoke( rule, opts, next );
+    }, callback );
+};
+
+Objecticon.prototype._checkTypeRules = function( opts, action, callback ) {
+    var self = this;
+    self._checkRules( extend( {}, opts, {
+        action: action
+    } ), callback );
+};
+
+Objecticon.prototype._checkDiffRules = function( opts, action, callback ) {
+    var self = this;
+    async.each( opts.changes, function( change, next ) {
+        var field = change.path.join( '.' );
+        self._checkRules( extend( {}, opts, {
+            action: action,
+            field: field,
+            change: change
+        } ), next );
+    }, callback );
+};
+
+// field-scoped read rules don't fail a request, they hide the field from the reader instead
+Objecticon.prototype._getHiddenFields = function( opts, object, callback ) {
+    var self = this;
+
+    var type = opts.type.toLowerCase();
+    var fieldRules = self.rules[ type ] && self.rules[ type ].read || {};
+    var fields = Object.keys( fieldRules ).filter( function( field ) {
+        return field !== 'null' && fieldRules[ field ].length;
+    } );
+
+    var hidden = [];
+    async.each( fields, function( field, next ) {
+        self._checkRules( extend( {}, opts, {
+            action: 'read',
+            field: field,
+            results: object
+        } ), function( error ) {
+            if ( error ) {
+                hidden.push( field );
+            }
+            next();
+        } );
+    }, function() {
+        callback( null, hidden );
+    } );
+};
+
+Objecticon.prototype._omitFields = function( object, fields ) {
+    if ( !object || fields.length === 0 ) {
+        return object;
+    }
+
+    object = extend( true, {}, object );
+    fields.forEach( function( field ) {
+        var keys = field.split( '.' );
+        var parent = query.getPath( object, keys.slice( 0, -1 ) );
+        if ( parent && typeof parent === 'object' ) {
+            delete parent[ keys[ keys.length - 1 ] ];
+        }
+    } );
+    return object;
+};
+
+// drops changes to hidden fields, and hidden fields from changes to their parents
+Objecticon.prototype._omitChangeFields = function( changes, fields ) {
+    var self = this;
+
+    if ( !changes || fields.length === 0 ) {
+        return changes;
+    }
+
+    return changes.filter( function( change ) {
+        var path = change.path.join( '.' );
+        return !fields.some( function( field ) {
+            return path === field || path.indexOf( field + '.' ) === 0;
+        } );
+    } ).map( function( change ) {
+        var path = change.path.join( '.' );
+        var nested = fields.filter( function( field ) {
+            return field.indexOf( path + '.' ) === 0;
+        } ).map( function( field ) {
+            return field.slice( path.length + 1 );
+        } );
+
+        if ( nested.length === 0 ) {
+            return change;
+        }
+
+        change = extend( true, {}, change );
+        [ 'lhs', 'rhs' ].forEach( function( side ) {
+            if ( change[ side ] && typeof change[ side ] === 'object' ) {
+                change[ side ] = self._omitFields( change[ side ], nested );
+            }
+        } );
+        return change;
+    } );
+};
+
+// hides fields the reader may not see from opts.results, and from opts.diff if there is one. the
+// object and diff as they were written are kept in opts.written for change events, which are
+// filtered for each subscriber instead of for the writer.
+Objecticon.prototype._filterFields = function( opts, callback ) {
+    var self = this;
+
+    var filter = function( object, next ) {
+        self._getHiddenFields( opts, object, function( error, hidden ) {
+            next( error, self._omitFields( object, hidden ), hidden );
+        } );
+    };
+
+    if ( Array.isArray( opts.results ) ) {
+        async.mapSeries( opts.results, filter, function( error, _results ) {
+            opts.results = _results;
+            callback( error );
+        } );
+        return;
+    }
+
+    opts.written = {
+        obj: opts.results,
+        diff: opts.diff
+    };
+
+    filter( opts.results, function( error, _object, hidden ) {
+        opts.results = _object;
+        opts.diff = self._omitChangeFields( opts.diff, hidden );
+        callback( error );
+    } );
+};
+
+// the diffs in log entries are filtered using the current object for rule context
+Objecticon.prototype._filterLog = function( opts, callback ) {
+    var self = this;
+
+    async.waterfall( [
+        function( next ) {
+            self.ds.get( opts.type, opts.id, function( error, object ) {
+                next( error, object );
+            } );
+        },
+
+        function( object, next ) {
+            self._getHiddenFields( opts, object, next );
+        }
+    ], function( error, hidden ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        if ( hidden.length === 0 ) {
+            callback();
+            return;
+        }
+
+        opts.results = opts.results.map( function( entry ) {
+            if ( history.isSnapshot( entry ) ) {
+                entry = extend( true, {}, entry );
+                entry.meta.snapshot = JSON.stringify( self._omitFields( history.getSnapshot( entry ), hidden ) );
+                return entry;
+            }
+
+            if ( !entry.meta || !entry.meta.diff ) {
+                return entry;
+            }
+
+            entry = extend( true, {}, entry );
+            entry.meta.diff = JSON.stringify( self._omitChangeFields( history.getChanges( entry ), hidden ) );
+            return entry;
+        } );
+        callback();
+    } );
+};
+
+Objecticon.prototype._write = function( opts, callback ) {
+    var self = this;
+
+    // log everything that actually changed, including server-side fields like the version, so
+    // the object can be rebuilt from its log
+    opts.diff = diff( opts.creating ? {} : opts.results, opts.updated ) || [];
+
+    self.ds.put( opts.type, opts.updated, {
+        meta: extend( {}, opts.meta, {
+            diff: JSON.stringify( opts.diff )
+        } ),
+        expectedVersion: self._getVersion( opts.results ),
+        action: opts.logAction,
+        previous: opts.creating ? null : opts.results
+    }, function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        opts.results = opts.updated;
+        callback();
+    } );
+};
+
+// with soft delete on, the object is moved to the trash instead
+Objecticon.prototype._delete = function( opts, callback ) {
+    var self = this;
+
+    if ( self.options.softDelete ) {
+        async.series( [
+            self._getTrashChanges.bind( self, opts, true ),
+            self._applyChanges.bind( self, opts ),
+            self._write.bind( self, opts )
+        ], callback );
+        return;
+    }
+
+    self.ds.delete( opts.type, opts.id, {
+        meta: extend( {}, opts.meta ),
+        expectedVersion: self._getVersion( opts.results ),
+        action: opts.logAction,
+        previous: opts.results
+    }, callback );
+};
+
+// rule: function( opts, next ), which calls next with an error to deny, or an async function( opts )
+//       that throws to deny. 'criteria' rules call next with, or return, their query fragment.
+//       'query' and 'search' rules deny a result with an error with code 403, which leaves it out,
+//       and any other error fails the request.
+Objecticon.prototype.addRule = function( type, action, field, rule ) {
+    var self = this;
+
+    if ( typeof field === 'function' ) {
+        rule = field;
+        field = null;
+    }
+
+    type = type.toLowerCase();
+    action = action.toLowerCase();
+
+    self.rules[ type ] = self.rules[ type ] || {};
+    self.rules[ type ][ action ] = self.rules[ type ][ action ] || {};
+    self.rules[ type ][ action ][ field ] = self.rules[ type ][ action ][ field ] || [];
+    self.rules[ type ][ action ][ field ].push( rule );
+};
+
+Objecticon.prototype.removeRule = function( type, action, field, rule ) {
+    var self = this;
+
+    if ( typeof field === 'function' ) {
+        rule = field;
+        field = null;
+    }
+
+    type = type.toLowerCase();
+    action = action.toLowerCase();
+
+    self.rules[ type ] = self.rules[ type ] || {};
+    self.rules[ type ][ action ] = self.rules[ type ][ action ] || {};
+    var rules = self.rules[ type ][ action ][ field ] || [];
+
+    for ( var i = rules.length - 1; i >= 0; --i ) {
+        var existingRule = rules[ i ];
+        if ( rule === existingRule ) {
+            rules.splice( i, 1 );
+        }
+    }
+};
+
+// registers a hook to run before or after an action on a type, or on every type with '*'.
+//
+// when: 'before' or 'after'
+// action: 'create', 'update', 'delete', 'get' or 'query'
+// hook: function( opts, next ), which can change opts or call next with an error to abort, or an
+//       async function( opts ) that throws to abort
+//
+// before create/update hooks see the object to be written in opts.updated. after hooks see what
+// will be returned in opts.results, a list for queries. an error from an after write hook is
+// passed to the caller, but the write has already happened.
+Objecticon.prototype.addHook = function( type, when, action, hook ) {
+    var self = this;
+
+    type = type.toLowerCase();
+    action = action.toLowerCase();
+
+    self.hooks[ type ] = self.hooks[ type ] || {};
+    self.hooks[ type ][ action ] = self.hooks[ type ][ action ] || {};
+    self.hooks[ type ][ action ][ when ] = self.hooks[ type ][ action ][ when ] || [];
+    self.hooks[ type ][ action ][ when ].push( hook );
+};
+
+Objecticon.prototype.removeHook = function( type, when, action, hook ) {
+    var self = this;
+
+    type = type.toLowerCase();
+    action = action.toLowerCase();
+
+    var hooks = self.hooks[ type ] && self.hooks[ type ][ action ] && self.hooks[ type ][ action ][ when ] || [];
+    for ( var i = hooks.length - 1; i >= 0; --i ) {
+        if ( hooks[ i ] === hook ) {
+            hooks.splice( i, 1 );
+        }
+    }
+};
+
+// registers a json schema that every object of the type must match before it is written. defaults
+// in the schema are filled in when objects are created.
+Objecticon.prototype.addSchema = function( type, schema ) {
+    var self = this;
+    self.schemas[ type.toLowerCase() ] = schema;
+};
+
+Objecticon.prototype.removeSchema = function( type ) {
+    var self = this;
+    delete self.schemas[ type.toLowerCase() ];
+};
+
+// registers a migration that brings objects of a type to a new schema version. objects are stamped
+// with the latest version in options.schemaVersionField when they're created. older objects have
+// each newer migration applied in order when get or query reads them, and are written back, or all
+// at once with migrate().
+//
+// migrate: function( object, next ), calling next with an error or the migrated object, or an
+//          async function( object ) returning it. the object can also just be changed in place.
+//
+// eg: objecticon.addMigration( 'user', 1, function( user ) {
+//         user.name = { first: user.firstName, last: user.lastName };
+//         delete user.firstName;
+//         delete user.lastName;
+//     } );
+Objecticon.prototype.addMigration = function( type, version, migrate ) {
+    var self = this;
+
+    type = type.toLowerCase();
+    self.migrations[ type ] = ( self.migrations[ type ] || [] ).filter( function( migration ) {
+        return migration.version !== version;
+    } ).concat( {
+        version: version,
+        migrate: migrate
+    } ).sort( function( a, b ) {
+        return a.version - b.version;
+    } );
+};
+
+Objecticon.prototype.removeMigration = function( type, version ) {
+    var self = this;
+
+    type = type.toLowerCase();
+    self.migrations[ type ] = ( self.migrations[ type ] || [] ).filter( function( migration ) {
+        return migration.version !== version;
+    } );
+};
+
+// declares that a field holds the id, or a list of ids, of objects of another type, so that get and
+// query can expand it into the objects themselves.
+//
+// options: the referenced type, or
+// {
+//     type: 'user',
+//     as: 'author', // where expanded objects go, by default the field without an Id or Ids suffix,
+//                   // eg: authorId -> author, tagIds -> tags, or the field itself if it has neither
+//     check: true // fail writes that reference objects that don't exist, options.checkReferences by default
+// }
+Objecticon.prototype.addReference = function( type, field, options ) {
+    var self = this;
+
+    options = typeof options === 'string' ? {
+        type: options
+    } : options;
+
+    type = type.toLowerCase();
+    self.references[ type ] = self.references[ type ] || {};
+    self.references[ type ][ field ] = extend( {
+        as: field.replace( /Ids$/, 's' ).replace( /Id$/, '' ) || field
+    }, options );
+};
+
+Objecticon.prototype.removeReference = function( type, field ) {
+    var self = this;
+
+    type = type.toLowerCase();
+    if ( self.references[ type ] ) {
+        delete self.references[ type ][ field ];
+    }
+};
+
+var _batchEvents = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted'
+};
+
+// created events are emitted for the type, updated and deleted events for the object as well
+function _emitChange( self, eventName, opts ) {
+    var written = opts.written || {
+        obj: opts.results,
+        diff: opts.diff
+    };
+
+    var event = {
+        type: opts.type,
+        obj: written.obj,
+        id: written.obj && written.obj.id || opts.id
+    };
+
+    if ( eventName !== 'deleted' && eventName !== 'purged' ) {
+        event.changes = written.diff;
+    }
+
+    self.emit( eventName, event );
+    self.emit( eventName + '.' + event.type, event );
+    if ( eventName !== 'created' ) {
+        self.emit( eventName + '.' + event.type + '.' + event.id, event );
+    }
+}
+
+Objecticon.prototype.create = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._createObject.bind( self, opts ),
+        self._getChanges.bind( self, opts ),
+        self._update.bind( self, opts, 'create' ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results );
+
+        _emitChange( self, 'created', opts );
+    } );
+};
+
+Objecticon.prototype.get = function( opts, callback ) {
+    var self = this;
+
+    opts.results = null;
+
+    async.series( [
+        self._runHooks.bind( self, opts, 'before', 'get' ),
+        self._getObject.bind( self, opts ),
+        self._checkTypeRules.bind( self, opts, 'read' ),
+        self._saveMigration.bind( self, opts ),
+        self._runHooks.bind( self, opts, 'after', 'get' ),
+        self._filterFields.bind( self, opts ),
+        self._expand.bind( self, opts )
+    ], function( error ) {
+        callback( error, opts.results );
+    } );
+};
+
+Objecticon.prototype.delete = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._getObject.bind( self, opts ),
+        self._checkVersion.bind( self, opts ),
+        self._checkTypeRules.bind( self, opts, 'delete' ),
+        self._saveMigration.bind( self, opts ),
+        self._runHooks.bind( self, opts, 'before', 'delete' ),
+        self._delete.bind( self, opts ),
+        self._runHooks.bind( self, opts, 'after', 'delete' ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback();
+
+        _emitChange( self, 'deleted', opts );
+    } );
+};
+
+// lists the objects of a type in the trash, paged like query and optionally filtered by opts.query,
+// checked against 'trash' rules
+Objecticon.prototype.getTrash = function( opts, callback ) {
+    var self = this;
+
+    opts.results = null;
+    opts.query = opts.query || {};
+    opts.trashed = true;
+
+    async.series( [
+        self._checkTypeRules.bind( self, opts, 'trash' ),
+        self._addCriteria.bind( self, opts ),
+        self._query.bind( self, opts ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results, opts.page );
+    } );
+};
+
+// takes an object back out of the trash, checked against 'restore' rules
+Objecticon.prototype.restore = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._getTrashed.bind( self, opts ),
+        self._checkVersion.bind( self, opts ),
+        self._checkTypeRules.bind( self, opts, 'restore' ),
+        self._getTrashChanges.bind( self, opts, false ),
+        self._applyChanges.bind( self, opts ),
+        self._write.bind( self, opts ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results );
+
+        _emitChange( self, 'restored', opts );
+    } );
+};
+
+Objecticon.prototype._purge = function( opts, callback ) {
+    var self = this;
+    self.ds.delete( opts.type, opts.id, {
+        meta: extend( {}, opts.meta ),
+        expectedVersion: self._getVersion( opts.results ),
+        action: 'purge',
+        previous: opts.results
+    }, callback );
+};
+
+// permanently removes an object in the trash, checked against 'purge' rules
+Objecticon.prototype.purge = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._getTrashed.bind( self, opts ),
+        self._checkVersion.bind( self, opts ),
+        self._checkTypeRules.bind( self, opts, 'purge' ),
+        self._purge.bind( self, opts ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback();
+
+        _emitChange( self, 'purged', opts );
+    } );
+};
+
+// purges every object of a type that has been in the trash longer than options.trashRetention, or
+// opts.olderThan ms. each one is checked against 'purge' rules. calls back with the purged ids.
+//
+// eg: setInterval( objecticon.purgeTrash.bind( objecticon, { type: 'user', meta: { system: true } }, done ), 3600000 );
+Objecticon.prototype.purgeTrash = function( opts, callback ) {
+    var self = this;
+
+    var olderThan = typeof opts.olderThan === 'number' ? opts.olderThan : self.options.trashRetention;
+    var criteria = {};
+    criteria[ self.options.deletedField ] = {
+        $lt: new Date( Date.now() - olderThan )
+    };
+
+    self.ds.query( opts.type, criteria, {}, function( error, _results ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        async.mapSeries( _results || [], function( object, next ) {
+            var id = object[ self.options.idField ];
+            self.purge( {
+                type: opts.type,
+                id: id,
+                meta: opts.meta
+            }, function( error ) {
+                next( error, id );
+            } );
+        }, callback );
+    } );
+};
+
+// opts:
+//   query: a uniql string or mongodb-style query object
+//   view: a projection, eg: { name: 1 }
+//   sort: eg: { createdAt: -1 }
+//   limit: page size, capped at options.maxQueryLimit
+//   cursor: the next page cursor from a previous query
+//   count: include the total number of matches in the page info
+//   expand: reference fields to resolve into the objects they refer to, see addReference, as get takes too
+//
+// calls back with ( error, results, { next: <cursor or null>, total: <count> } )
+Objecticon.prototype.query = function( opts, callback ) {
+    var self = this;
+
+    opts.results = null;
+
+    async.series( [
+        self._runHooks.bind( self, opts, 'before', 'query' ),
+        self._addCriteria.bind( self, opts ),
+        self._query.bind( self, opts ),
+        self._migrateResults.bind( self, opts ),
+        self._checkResultRules.bind( self, opts, 'query' ),
+        self._storeMigrations.bind( self, opts ),
+        self._runHooks.bind( self, opts, 'after', 'query' ),
+        self._filterFields.bind( self, opts ),
+        self._expand.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results, opts.page );
+    } );
+};
+
+// like query, but calls back with an object mode stream of every result instead of a page. query
+// rules and field read rules are applied to each result as it is read.
+Objecticon.prototype.queryStream = function( opts, callback ) {
+    var self = this;
+
+    var rules = self._getRules( opts.type, 'query' );
+    var source = null;
+
+    async.series( [
+        self._runHooks.bind( self, opts, 'before', 'query' ),
+        self._addCriteria.bind( self, opts ),
+
+        // no query rules is either a permission error in strict mode, or allowed
+        function( next ) {
+            if ( rules.length ) {
+                next();
+                return;
+            }
+
+            self._checkTypeRules( opts, 'query', next );
+        },
+
+        // as with query, types with migrations are read whole and projected once they're migrated
+        function( next ) {
+            var view = opts.view && Object.keys( opts.view ).length ? opts.view : null;
+            opts.project = view && self._getSchemaVersion( opts.type ) ? view : null;
+
+            self.ds.queryStream( opts.type, opts.query, {
+                view: opts.project ? undefined : opts.view,
+                sort: opts.sort
+            }, function( error, _source ) {
+                source = _source;
+                next( error );
+            } );
+        }
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var results = new stream.Transform( {
+            objectMode: true
+        } );
+
+        results._transform = function( result, encoding, next ) {
+            var resultOpts = extend( {}, opts, {
+                results: [ result ]
+            } );
+            var failure = null;
+
+            async.series( [
+                self._migrateResults.bind( self, resultOpts ),
+
+                function( done ) {
+                    if ( !rules.length ) {
+                        done();
+                        return;
+                    }
+
+                    self._checkTypeRules( extend( {}, resultOpts, {
+                        results: resultOpts.results[ 0 ]
+                    } ), 'query', function( error ) {
+                        // as with query, only a 403 leaves the result out, anything else fails the stream
+                        failure = error && error.code !== 403 ? error : null;
+                        done( error );
+                    } );
+                },
+
+                self._storeMigrations.bind( self, resultOpts ),
+
+                function( done ) {
+                    resultOpts.results = resultOpts.results[ 0 ];
+                    done();
+                },
+
+                // after query hooks always see a list of results
+                function( done ) {
+                    var hookOpts = extend( {}, resultOpts, {
+                        results: [ resultOpts.results ]
+                    } );
+
+                    self._runHooks( hookOpts, 'after', 'query', function( error ) {
+                        resultOpts.results = hookOpts.results[ 0 ];
+                        done( error || ( resultOpts.results ? null : true ) );
+                    } );
+                },
+
+                self._filterFields.bind( self, resultOpts )
+            ], function( error ) {
+                if ( failure ) {
+                    next( failure );
+                    return;
+                }
+
+                // results the reader isn't allowed to see are left out
+                next( null, error ? undefined : resultOpts.results );
+            } );
+        };
+
+        // destroying the results, say when the reader goes away, closes the driver's stream too
+        results.on( 'close', function() {
+            source.destroy();
+        } );
+
+        source.on( 'error', results.emit.bind( results, 'error' ) );
+        callback( null, source.pipe( results ) );
+    } );
+};
+
+// opts:
+//   q: the text to search for
+//   view: a projection, eg: { name: 1 }
+//   limit: the maximum number of results, capped at options.maxQueryLimit
+//
+// results are ranked by relevance, highest first, and checked against 'search' rules
+Objecticon.prototype.search = function( opts, callback ) {
+    var self = this;
+
+    opts.results = null;
+
+    async.series( [
+        self._search.bind( self, opts ),
+        self._checkResultRules.bind( self, opts, 'search' ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results );
+    } );
+};
+
+Objecticon.prototype.update = function( opts, callback ) {
+    var self = this;
+
+    opts = extend( opts, {
+        allowMissing: true
+    } );
+
+    async.series( [
         self._getObject.bind( self, opts ),
-        self._update.bind( self, opts )
+        self._checkVersion.bind( self, opts ),
+        self._saveMigration.bind( self, opts ),
+        self._update.bind( self, opts, 'update' ),
+        self._filterFields.bind( self, opts )
     ], function( error ) {
         if ( error ) {
             callback( error );
@@ -365,15 +2142,143 @@ Objecticon.prototype.update = function( opts, callback ) {
 
         callback( null, opts.results );
 
-        var event = {
-            type: opts.type,
-            obj: opts.results,
-            id: opts.results.id
+        _emitChange( self, 'updated', opts );
+    } );
+};
+
+// opts:
+//   operations: a list of
+//     { action: 'create', type: 'order', overlay: { ... } }
+//     { action: 'update', type: 'product', id: '...', changes: [ <deep-diff changes> ], version: 3 }
+//     { action: 'delete', type: 'cart', id: '...', version: 1 }
+//   meta: shared by every operation, eg: { user: ... }, taking precedence over an operation's meta
+//
+// every operation is checked against the rules and schemas before anything is written, then
+// they are all written, or none are. each operation gets its own log entry, with a shared
+// batchId in its meta. calls back with the results in the same order as the operations,
+// null for deletes.
+Objecticon.prototype.batch = function( opts, callback ) {
+    var self = this;
+
+    // each operation's opts are built from its own fields only, so callers can't set the state the
+    // pipeline keeps in opts, and the shared meta wins over an operation's
+    var batchId = uuid.v4();
+    var operations = ( opts.operations || [] ).map( function( operation ) {
+        return {
+            action: operation.action,
+            type: operation.type,
+            id: operation.id,
+            overlay: operation.overlay,
+            changes: operation.changes,
+            version: operation.version,
+            meta: extend( {}, operation.meta, opts.meta, {
+                batchId: batchId
+            } )
         };
+    } );
+
+    if ( operations.length === 0 ) {
+        callback( {
+            error: 'invalid batch',
+            message: 'You must specify at least one operation.',
+            code: 400
+        } );
+        return;
+    }
+
+    // an object can only be changed once per batch, since each change is checked against its stored state
+    var seen = {};
+    var duplicate = null;
+    operations.some( function( operation ) {
+        var key = String( operation.type ).toLowerCase() + '/' + operation.id;
+        duplicate = operation.id && seen[ key ] ? operation : null;
+        seen[ key ] = true;
+        return !!duplicate;
+    } );
+
+    if ( duplicate ) {
+        callback( {
+            error: 'invalid batch',
+            message: 'The ' + duplicate.type + ' with id: ' + duplicate.id + ' appears in more than one operation.',
+            code: 400
+        } );
+        return;
+    }
+
+    async.series( [
+        function( next ) {
+            async.eachSeries( operations, self._prepareOperation.bind( self ), next );
+        },
 
-        self.emit( 'updated', event );
-        self.emit( 'updated.' + event.type, event );
-        self.emit( 'updated.' + event.type + '.' + event.id, event );
+        function( next ) {
+            self.ds.batch( operations.map( self._getOperation.bind( self ) ), next );
+        },
+
+        function( next ) {
+            async.eachSeries( operations, function( operation, done ) {
+                operation.results = operation.action === 'delete' ? operation.results : operation.updated;
+                async.series( [
+                    self._runHooks.bind( self, operation, 'after', operation.action ),
+                    self._filterFields.bind( self, operation )
+                ], done );
+            }, next );
+        }
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, operations.map( function( operation ) {
+            return operation.action === 'delete' ? null : operation.results;
+        } ) );
+
+        operations.forEach( function( operation ) {
+            _emitChange( self, _batchEvents[ operation.action ], operation );
+        } );
+    } );
+};
+
+Objecticon.prototype.getAt = function( opts, callback ) {
+    var self = this;
+
+    opts.results = null;
+
+    async.series( [
+        self._getHistory.bind( self, opts ),
+        self._replayHistory.bind( self, opts ),
+        self._checkTypeRules.bind( self, opts, 'read' ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results );
+    } );
+};
+
+Objecticon.prototype.revert = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._getHistory.bind( self, opts ),
+        self._getRevision.bind( self, opts ),
+        self._getCurrent.bind( self, opts ),
+        self._checkVersion.bind( self, opts ),
+        self._getRevertChanges.bind( self, opts ),
+        self._update.bind( self, opts, 'update' ),
+        self._filterFields.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results );
+
+        _emitChange( self, 'updated', opts );
     } );
 };
 
@@ -382,7 +2287,8 @@ Objecticon.prototype.getLog = function( opts, callback ) {
 
     async.series( [
         self._checkTypeRules.bind( self, opts, 'log' ),
-        self._getLog.bind( self, opts )
+        self._getLog.bind( self, opts ),
+        self._filterLog.bind( self, opts )
     ], function( error ) {
         if ( error ) {
             callback( error );
@@ -393,6 +2299,300 @@ Objecticon.prototype.getLog = function( opts, callback ) {
     } );
 };
 
+// queries the audit log across objects and types.
+//
+// opts:
+//   type, id: only entries for this type, or object
+//   action: only entries for this action, eg: 'delete', or any of a list of them
+//   user: only entries made by this user, matched against options.logUserField
+//   since, until: only entries from this time, up to but not including that one
+//   sort: eg: { createdAt: 1 }, newest first by default
+//   limit: page size, capped at options.maxLogLimit
+//   cursor: the next page cursor from a previous query
+//   count: include the total number of matches in the page info
+//
+// entries for objects whose log the reader may not see are left out, so a page can come back
+// short even when there are more.
+//
+// calls back with ( error, results, { next: <cursor or null>, total: <count> } )
+Objecticon.prototype.queryLog = function( opts, callback ) {
+    var self = this;
+
+    opts.results = null;
+
+    async.series( [
+        self._checkLogType.bind( self, opts ),
+        self._getLogCriteria.bind( self, opts ),
+        self._queryLog.bind( self, opts ),
+        self._filterLogEntries.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, opts.results, opts.page );
+    } );
+};
+
+// an activity feed: calls back with an object mode stream of audit log entries as they are logged,
+// filtered like queryLog. the stream runs until it is destroyed, or until the reader falls more than
+// options.maxFollowBacklog entries behind, when it is destroyed with a 'follow backlog exceeded' error
+// rather than buffering without limit.
+Objecticon.prototype.followLog = function( opts, callback ) {
+    var self = this;
+
+    async.series( [
+        self._checkLogType.bind( self, opts ),
+        self._getLogCriteria.bind( self, opts )
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        var feed = new stream.Readable( {
+            objectMode: true,
+            highWaterMark: self.options.maxFollowBacklog
+        } );
+
+        feed._read = function() {};
+
+        // one entry at a time, so they come out in the order they were logged
+        var entries = async.queue( function( entry, next ) {
+            var entryOpts = extend( {}, opts, {
+                results: [ entry ]
+            } );
+
+            self._filterLogEntries( entryOpts, function( error ) {
+                if ( error || !entryOpts.results.length || feed.destroyed ) {
+                    next();
+                    return;
+                }
+
+                // push is false once a whole backlog is waiting to be read
+                if ( !feed.push( entryOpts.results[ 0 ] ) ) {
+                    feed.destroy( {
+                        error: 'follow backlog exceeded',
+                        message: 'The reader fell more than ' + self.options.maxFollowBacklog + ' entries behind.'
+                    } );
+                }
+                next();
+            } );
+        }, 1 );
+
+        function onLogged( entry ) {
+            if ( query.match( entry, opts.criteria ) ) {
+                entries.push( extend( true, {}, entry ) );
+            }
+        }
+
+        self.ds.on( 'logged', onLogged );
+        feed.on( 'close', function() {
+            self.ds.removeListener( 'logged', onLogged );
+            entries.kill();
+        } );
+
+        callback( null, feed );
+    } );
+};
+
+// migrates every stored object of opts.type that is behind the latest migration, including objects
+// in the trash, opts.batchSize at a time. rules and hooks are not run.
+//
+// opts:
+//   type: the type to migrate
+//   batchSize: objects read at a time, 100 by default
+//   dryRun: only count the objects that need migrating
+//
+// calls back with { type, version, migrated, failed: [ { id, error } ] }, or for a dry run
+// { type, version, pending }
+Objecticon.prototype.migrate = function( opts, callback ) {
+    var self = this;
+
+    var field = self.options.schemaVersionField;
+    var idField = self.options.idField;
+    var version = self._getSchemaVersion( opts.type );
+    var failed = [];
+    var report = {
+        type: opts.type,
+        version: version
+    };
+
+    // migrated objects stop matching, so each batch starts from the top. failures are skipped.
+    function getCriteria() {
+        var outdated = {};
+        outdated[ field ] = {
+            $lt: version
+        };
+
+        var missing = {};
+        missing[ field ] = {
+            $exists: false
+        };
+
+        var skipped = {};
+        skipped[ idField ] = {
+            $nin: failed.map( function( failure ) {
+                return failure.id;
+            } )
+        };
+
+        return {
+            $and: [ {
+                $or: [ outdated, missing ]
+            }, skipped ]
+        };
+    }
+
+    if ( opts.dryRun ) {
+        self.ds.query( opts.type, getCriteria(), {
+            limit: 1,
+            count: true
+        }, function( error, _results, _page ) {
+            report.pending = version && _page ? _page.total : 0;
+            callback( error, report );
+        } );
+        return;
+    }
+
+    report.migrated = 0;
+    report.failed = failed;
+
+    var finished = !version;
+    async.whilst( function() {
+        return !finished;
+    }, function( next ) {
+        self.ds.query( opts.type, getCriteria(), {
+            limit: opts.batchSize || 100
+        }, function( error, _results ) {
+            if ( error ) {
+                next( error );
+                return;
+            }
+
+            finished = !_results || _results.length === 0;
+            async.eachSeries( _results || [], function( object, done ) {
+                async.waterfall( [
+                    self._migrate.bind( self, opts.type, object ),
+
+                    function( migrated, written ) {
+                        self._writeMigration( opts.type, object, migrated, written );
+                    }
+                ], function( error ) {
+                    if ( error ) {
+                        failed.push( {
+                            id: object[ idField ],
+                            error: error
+                        } );
+                    }
+                    else {
+                        report.migrated++;
+                    }
+                    done();
+                } );
+            }, next );
+        } );
+    }, function( error ) {
+        callback( error, report );
+    } );
+};
+
+// backs up, or moves, objects and their history. see DataStore.exportData, importData and copyData
+// for the options. rules and hooks are not run, and copyData's opts.target can be another
+// Objecticon or a DataStore.
+Objecticon.prototype.exportData = function( opts, callback ) {
+    var self = this;
+    self.ds.exportData( opts, callback );
+};
+
+Objecticon.prototype.importData = function( opts, callback ) {
+    var self = this;
+    self.ds.importData( opts, callback );
+};
+
+Objecticon.prototype.copyData = function( opts, callback ) {
+    var self = this;
+
+    self.ds.copyData( extend( {}, opts, {
+        target: opts.target && opts.target.ds || opts.target
+    } ), callback );
+};
+
+// the audit log maintenance command: folds entries older than options.logRetention allows into
+// snapshots and removes them, archiving them to options.logArchive if it is set, and snapshots
+// objects with many changes since their last snapshot.
+//
+// options.logRetention looks like:
+// {
+//     '*': { maxAge: 90 * 24 * 60 * 60 * 1000, snapshotEvery: 100 },
+//     session: { maxAge: 7 * 24 * 60 * 60 * 1000 }
+// }
+//
+// opts:
+//   type: only compact entries for this type
+//   maxAge, snapshotEvery: use these for opts.type, or every type, instead of options.logRetention
+//   logger: only compact this logger driver, or the logger at this index
+//   dryRun: only report what would change
+//   batchSize: changes written to the loggers at a time
+//
+// calls back with a list of { logger, entries, snapshots, expired, archived }, one per logger
+Objecticon.prototype.compactLog = function( opts, callback ) {
+    var self = this;
+
+    callback = typeof opts === 'function' ? opts : callback;
+    opts = typeof opts === 'function' ? {} : ( opts || {} );
+
+    var policies = self.options.logRetention || {};
+    if ( opts.maxAge || opts.snapshotEvery ) {
+        policies = {};
+        policies[ opts.type || '*' ] = {
+            maxAge: opts.maxAge,
+            snapshotEvery: opts.snapshotEvery
+        };
+    }
+
+    self.ds.compactLog( {
+        policies: policies,
+        type: opts.type,
+        logger: opts.logger,
+        archive: self.options.logArchive,
+        dryRun: opts.dryRun,
+        batchSize: opts.batchSize
+    }, callback );
+};
+
+// each of these returns a promise when called without a callback. query, getTrash and queryLog
+// resolve with { results, page }.
+promises.wrapMethods( Objecticon.prototype, [
+    'create',
+    'get',
+    'update',
+    'delete',
+    'batch',
+    'query',
+    'queryStream',
+    'search',
+    'getAt',
+    'revert',
+    'getLog',
+    'queryLog',
+    'followLog',
+    'compactLog',
+    'migrate',
+    'exportData',
+    'importData',
+    'copyData',
+    'getTrash',
+    'restore',
+    'purge',
+    'purgeTrash'
+], {
+    query: [ 'results', 'page' ],
+    getTrash: [ 'results', 'page' ],
+    queryLog: [ 'results', 'page' ]
+} );
+
 Objecticon.prototype.Interface = {
     datastore: {}
 };
@@ -5,22 +5,44 @@ module.exports = Rest;
 var async = require( 'async' );
 var EventEmitter = require( 'events' ).EventEmitter;
 var extend = require( 'extend' );
+var stream = require( 'stream' );
 var util = require( 'util' );
 
 var Objecticon = require( './index.js' );
 
-// TODO: websocket support for pushing diffs out?
-
 // examples binds for express:
 // app.post( '/store/:type', userCheckMiddleware, objecticonRest.create.bind( objecticonRest ) );
 // app.get( '/store/:type/:id', userCheckMiddleware, objecticonRest.get.bind( objecticonRest ) );
+//     query params: expand (comma separated reference fields)
 // app.put( '/store/:type/:id', userCheckMiddleware, objecticonRest.update.bind( objecticonRest ) );
 // app.del( '/store/:type/:id', userCheckMiddleware, objecticonRest.delete.bind( objecticonRest ) );
 // app.get( '/store/:type', userCheckMiddleware, objecticonRest.query.bind( objecticonRest ) );
+//     query params: query, view, sort (json), limit, cursor, count=true, expand
+//     responds with X-Next-Cursor and X-Total-Count headers
+//     get, query and search respond with the name of the driver that served them in X-Served-By
+// app.get( '/store/:type/stream', userCheckMiddleware, objecticonRest.queryStream.bind( objecticonRest ) ); (before /store/:type/:id)
+// app.get( '/store/:type/search', userCheckMiddleware, objecticonRest.search.bind( objecticonRest ) ); (before /store/:type/:id)
+//     query params: q, view (json), limit
 // app.get( '/store/:type/:id/log', userCheckMiddleware, objecticonRest.getLog.bind( objecticonRest ) );
+// app.get( '/store/_log', userCheckMiddleware, objecticonRest.queryLog.bind( objecticonRest ) ); (before /store/:type)
+//     query params: type, id, action (comma separated), user, since, until, sort (json), limit, cursor, count=true
+//     responds with X-Next-Cursor and X-Total-Count headers
+//     with follow=true, streams entries as newline-delimited json as they are logged instead. clients
+//     that fall more than maxFollowBacklog entries behind get an error line and are disconnected
+// app.get( '/store/:type/:id/at/:timestamp', userCheckMiddleware, objecticonRest.getAt.bind( objecticonRest ) );
+// app.post( '/store/:type/:id/revert/:entry', userCheckMiddleware, objecticonRest.revert.bind( objecticonRest ) );
+// app.get( '/store/:type/trash', userCheckMiddleware, objecticonRest.getTrash.bind( objecticonRest ) ); (before /store/:type/:id)
+//     query params: limit, cursor, count=true
+// app.post( '/store/:type/:id/restore', userCheckMiddleware, objecticonRest.restore.bind( objecticonRest ) );
+// app.del( '/store/:type/:id/purge', userCheckMiddleware, objecticonRest.purge.bind( objecticonRest ) );
+// app.post( '/store/_batch', userCheckMiddleware, objecticonRest.batch.bind( objecticonRest ) ); (before /store/:type)
+//     body: { operations: [ { action: 'create' | 'update' | 'delete', type, id, overlay, changes, version } ] }
+//
+// see subscriptions.js for pushing changes out to clients as they happen
 
 var _defaults = {
     idField: 'id',
+    versionField: '_version',
     strict: true
 };
 
@@ -36,6 +58,116 @@ var _defaults = {
 //     ]
 // }
 
+// types can be given json schemas, which validate every write and provide defaults for new
+// objects in place of models:
+// {
+//     schemas: {
+//         user: {
+//             type: 'object',
+//             properties: {
+//                 name: { type: 'string' },
+//                 roles: { type: 'array', items: { type: 'string' }, default: [] }
+//             },
+//             required: [ 'name' ]
+//         }
+//     }
+// }
+
+// when a model changes shape, migrations bring stored objects up to date as they're read, with
+// each migration recorded in the audit log as made by migrationUser:
+// {
+//     migrations: {
+//         user: {
+//             1: function( user ) {
+//                 user.roles = user.isAdmin ? [ 'admin' ] : [];
+//                 delete user.isAdmin;
+//             }
+//         }
+//     }
+// }
+//
+// objecticonRest.objecticon.migrate( { type: 'user' }, callback ) migrates every stored user at once
+
+// backups and moves go through exportData, importData and copyData, eg: to move a tenant from
+// mongodb into a store with a file driver:
+// objecticonRest.objecticon.copyData( {
+//     types: [ 'user', 'project' ],
+//     criteria: { tenantId: tenantId },
+//     target: fileObjecticon,
+//     conflict: 'skip',
+//     onProgress: function( progress ) { ... }
+// }, callback );
+
+// reference fields hold the ids of other objects, and can be expanded into those objects on reads
+// with ?expand=authorId,tagIds:
+// {
+//     references: {
+//         post: {
+//             authorId: 'user',
+//             tagIds: { type: 'tag', check: true } // writes fail if a tag doesn't exist
+//         }
+//     }
+// }
+
+// example options for tests or embedded use, with no database at all:
+// {
+//     drivers: [
+//         new DSMemoryDriver( {
+//             authoritative: 'get,query,search'
+//         } )
+//     ],
+//     loggers: [
+//         new DSMemoryDriver( {
+//             authoritative: 'query'
+//         } )
+//     ]
+// }
+
+// example options for keeping a secondary store in sync, where writes only wait for mongodb and
+// are replicated to the file store in the background:
+// {
+//     writePolicy: 'primary', // or 'all' (the default) or 'quorum'
+//     drivers: [
+//         new DSMongoDBDriver( {
+//             uri: base.mongoInfo.uri,
+//             authoritative: 'get,query,search'
+//         } ),
+//         new DSFileDriver( {
+//             name: 'file',
+//             path: '/var/lib/objecticon',
+//             fallback: 'get,query' // serves reads while mongodb is failing
+//         } )
+//     ],
+//     readTimeout: 2000,
+//     breakerThreshold: 5, // failed reads in a row before a driver is skipped
+//     breakerTimeout: 30000 // ms it is skipped for
+// }
+//
+// objecticonRest.objecticon.ds.reconcile( 'user', callback ) repairs anything the secondary missed
+
+// example options for keeping the audit log reliable, where entries wait in an outbox file until
+// every logger has them. without outboxPath they only wait in memory, and are lost on a restart.
+// loggers should have a unique options.name, which the outbox keeps their entries under:
+// {
+//     outboxPath: '/var/lib/objecticon/audit',
+//     strictAudit: false, // true to fail writes whose entries the loggers can't take right away
+//     logRetryInterval: 1000,
+//     maxLogBacklog: 10000, // entries waiting for the loggers before writes are refused
+//     loggers: [ new DSMongoDBDriver( { name: 'audit', uri: ... } ) ]
+// }
+//
+// objecticonRest.objecticon.on( 'logError', function( event ) { ... } ) reports failed deliveries
+//
+// with logRetention, old entries are folded into snapshots of the objects they changed:
+// {
+//     logRetention: {
+//         '*': { maxAge: 90 * 24 * 60 * 60 * 1000, snapshotEvery: 100 }
+//     },
+//     logCompactInterval: 60 * 60 * 1000
+// }
+//
+// objecticonRest.objecticon.compactLog( { dryRun: true }, callback ) runs a compaction on demand
+
 function Rest( options ) {
     var self = this;
     EventEmitter.call( self );
@@ -43,8 +175,40 @@ function Rest( options ) {
     self.options = extend( {}, _defaults, options );
     self.objecticon = new Objecticon( {
         idField: options.idField,
+        versionField: self.options.versionField,
         create: self._createObject.bind( self ),
-        drivers: options.drivers
+        defaultQueryLimit: options.defaultQueryLimit,
+        maxQueryLimit: options.maxQueryLimit,
+        defaultLogLimit: options.defaultLogLimit,
+        maxLogLimit: options.maxLogLimit,
+        schemas: options.schemas,
+        migrations: options.migrations,
+        schemaVersionField: options.schemaVersionField,
+        migrationUser: options.migrationUser,
+        references: options.references,
+        checkReferences: options.checkReferences,
+        softDelete: options.softDelete,
+        deletedField: options.deletedField,
+        trashRetention: options.trashRetention,
+        writePolicy: options.writePolicy,
+        retryInterval: options.retryInterval,
+        maxReplicaAttempts: options.maxReplicaAttempts,
+        readTimeout: options.readTimeout,
+        breakerThreshold: options.breakerThreshold,
+        breakerTimeout: options.breakerTimeout,
+        readAnyDriver: options.readAnyDriver,
+        outboxPath: options.outboxPath,
+        strictAudit: options.strictAudit,
+        logRetryInterval: options.logRetryInterval,
+        maxLogRetryInterval: options.maxLogRetryInterval,
+        maxLogBacklog: options.maxLogBacklog,
+        logUserField: options.logUserField,
+        maxFollowBacklog: options.maxFollowBacklog,
+        logRetention: options.logRetention,
+        logArchive: options.logArchive,
+        logCompactInterval: options.logCompactInterval,
+        drivers: options.drivers,
+        loggers: options.loggers
     } );
 
     return self;
@@ -56,7 +220,7 @@ Rest.prototype._createObject = function( type ) {
     var self = this;
 
     var object = null;
-    var Model = self.options.models[ type ];
+    var Model = self.options.models && self.options.models[ type ];
     if ( Model ) {
         object = ( new Model() ).toObject();
         object.createdAt = object.updatedAt = new Date();
@@ -65,6 +229,34 @@ Rest.prototype._createObject = function( type ) {
     return object;
 };
 
+Rest.prototype._setETag = function( response, object ) {
+    var self = this;
+    if ( object && typeof object[ self.options.versionField ] !== 'undefined' ) {
+        response.setHeader( 'ETag', '"' + object[ self.options.versionField ] + '"' );
+    }
+};
+
+// returns the version from an If-Match header, eg: "3" or W/"3", or null if there isn't one or it's
+// *. a header that isn't one of our etags returns an 'invalid if-match' error, since ignoring it
+// would make the write unconditional.
+function _getIfMatchVersion( request ) {
+    var header = ( request.headers[ 'if-match' ] || '' ).trim();
+    if ( !header || header === '*' ) {
+        return null;
+    }
+
+    var match = /^(?:W\/)?"?(\d+)"?$/.exec( header );
+    if ( !match ) {
+        return {
+            error: 'invalid if-match',
+            message: 'The If-Match header must be an ETag from this server, eg: "3", not: ' + header,
+            code: 400
+        };
+    }
+
+    return parseInt( match[ 1 ], 10 );
+}
+
 Rest.prototype.create = function( request, response, final ) {
     var self = this;
 
@@ -80,6 +272,7 @@ Rest.prototype.create = function( request, response, final ) {
             return;
         }
 
+        self._setETag( response, object );
         response.json( object );
 
         var event = {
@@ -92,21 +285,33 @@ Rest.prototype.create = function( request, response, final ) {
     } );
 };
 
+// the name of the driver that served a read, see DataStore._failover
+function _setServedBy( response, opts ) {
+    if ( opts.servedBy ) {
+        response.setHeader( 'X-Served-By', opts.servedBy );
+    }
+}
+
 Rest.prototype.get = function( request, response, final ) {
     var self = this;
 
-    self.objecticon.get( {
+    var opts = {
         type: request.params.type,
         id: request.params.id,
+        expand: request.query.expand,
         meta: {
             user: request.user
         }
-    }, function( error, object ) {
+    };
+
+    self.objecticon.get( opts, function( error, object ) {
         if ( error ) {
             final( error );
             return;
         }
 
+        self._setETag( response, object );
+        _setServedBy( response, opts );
         response.send( object );
     } );
 };
@@ -114,9 +319,16 @@ Rest.prototype.get = function( request, response, final ) {
 Rest.prototype.delete = function( request, response, final ) {
     var self = this;
 
+    var version = _getIfMatchVersion( request );
+    if ( version && version.error ) {
+        final( version );
+        return;
+    }
+
     self.objecticon.delete( {
         type: request.params.type,
         id: request.params.id,
+        version: version,
         meta: {
             user: request.user
         }
@@ -127,15 +339,124 @@ Rest.prototype.delete = function( request, response, final ) {
         }
 
         response.send( true );
+
+        var event = {
+            type: request.params.type,
+            id: request.params.id
+        };
+
+        self.emit( 'deleted', event );
+        self.emit( 'deleted.' + event.type, event );
+        self.emit( 'deleted.' + event.type + '.' + event.id, event );
     } );
 };
 
-Rest.prototype.query = function( request, response, final ) {
+Rest.prototype.getTrash = function( request, response, final ) {
+    var self = this;
+
+    self.objecticon.getTrash( {
+        type: request.params.type,
+        limit: request.query.limit,
+        cursor: request.query.cursor,
+        count: request.query.count === 'true',
+        meta: {
+            user: request.user
+        }
+    }, function( error, results, page ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        if ( page.next ) {
+            response.setHeader( 'X-Next-Cursor', page.next );
+        }
+
+        if ( typeof page.total === 'number' ) {
+            response.setHeader( 'X-Total-Count', page.total );
+        }
+
+        response.json( results );
+    } );
+};
+
+Rest.prototype.restore = function( request, response, final ) {
+    var self = this;
+
+    var version = _getIfMatchVersion( request );
+    if ( version && version.error ) {
+        final( version );
+        return;
+    }
+
+    self.objecticon.restore( {
+        type: request.params.type,
+        id: request.params.id,
+        version: version,
+        meta: {
+            user: request.user
+        }
+    }, function( error, object ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        self._setETag( response, object );
+        response.json( object );
+
+        var event = {
+            type: request.params.type,
+            obj: object,
+            id: request.params.id
+        };
+
+        self.emit( 'restored', event );
+        self.emit( 'restored.' + event.type, event );
+        self.emit( 'restored.' + event.type + '.' + event.id, event );
+    } );
+};
+
+Rest.prototype.purge = function( request, response, final ) {
     var self = this;
 
+    var version = _getIfMatchVersion( request );
+    if ( version && version.error ) {
+        final( version );
+        return;
+    }
+
+    self.objecticon.purge( {
+        type: request.params.type,
+        id: request.params.id,
+        version: version,
+        meta: {
+            user: request.user
+        }
+    }, function( error ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        response.send( true );
+
+        var event = {
+            type: request.params.type,
+            id: request.params.id
+        };
+
+        self.emit( 'purged', event );
+        self.emit( 'purged.' + event.type, event );
+        self.emit( 'purged.' + event.type + '.' + event.id, event );
+    } );
+};
+
+// parses the query, view and sort from the request's query string into query options for objecticon
+Rest.prototype._getQueryOptions = function( request, callback ) {
     var query = null;
     var view = null;
-    var results = null;
+    var sort = null;
 
     async.series( [
         // parse the query
@@ -198,21 +519,70 @@ Rest.prototype.query = function( request, response, final ) {
             next();
         },
 
+        // parse the sort if there is one
         function( next ) {
-            self.objecticon.query( {
-                type: request.params.type,
-                query: query,
-                view: view,
-                meta: {
-                    user: request.user
-                }
-            }, function( error, _results ) {
+            if ( !request.query.sort ) {
+                next();
+                return;
+            }
+
+            try {
+                sort = JSON.parse( request.query.sort );
+            }
+            catch ( ex ) {
+                next( {
+                    error: 'invalid sort',
+                    message: ex,
+                    code: 400
+                } );
+                return;
+            }
+
+            next();
+        }
+    ], function( error ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        callback( null, {
+            type: request.params.type,
+            query: query,
+            view: view,
+            sort: sort,
+            meta: {
+                user: request.user
+            }
+        } );
+    } );
+};
+
+Rest.prototype.query = function( request, response, final ) {
+    var self = this;
+
+    var results = null;
+    var page = null;
+    var queryOpts = null;
+
+    async.waterfall( [
+        self._getQueryOptions.bind( self, request ),
+
+        function( opts, next ) {
+            queryOpts = opts;
+            self.objecticon.query( extend( opts, {
+                limit: request.query.limit,
+                cursor: request.query.cursor,
+                count: request.query.count === 'true',
+                expand: request.query.expand
+            } ), function( error, _results, _page ) {
                 if ( error ) {
                     next( error );
                     return;
                 }
 
                 results = _results;
+                page = _page || {};
                 next();
             } );
         }
@@ -223,6 +593,97 @@ Rest.prototype.query = function( request, response, final ) {
             return;
         }
 
+        // paging info goes in headers so the body stays a plain array of results
+        if ( page.next ) {
+            response.setHeader( 'X-Next-Cursor', page.next );
+        }
+
+        if ( typeof page.total !== 'undefined' ) {
+            response.setHeader( 'X-Total-Count', page.total );
+        }
+
+        _setServedBy( response, queryOpts );
+        response.json( results );
+    } );
+};
+
+// streams every result as newline-delimited json, without paging
+Rest.prototype.queryStream = function( request, response, final ) {
+    var self = this;
+
+    async.waterfall( [
+        self._getQueryOptions.bind( self, request ),
+        self.objecticon.queryStream.bind( self.objecticon )
+    ], function( error, results ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        var ndjson = new stream.Transform( {
+            objectMode: true
+        } );
+
+        ndjson._transform = function( object, encoding, next ) {
+            next( null, JSON.stringify( object ) + '\n' );
+        };
+
+        // the status has been sent by the time a stream fails, so report the error in the body
+        results.on( 'error', function( error ) {
+            response.end( JSON.stringify( {
+                error: 'query failed',
+                message: error && error.message || error
+            } ) + '\n' );
+        } );
+
+        response.writeHead( 200, {
+            'Content-Type': 'application/x-ndjson'
+        } );
+
+        // stop reading when the client goes away, rather than leaving the query open
+        request.on( 'close', function() {
+            results.destroy();
+        } );
+
+        results.pipe( ndjson ).pipe( response );
+    } );
+};
+
+Rest.prototype.search = function( request, response, final ) {
+    var self = this;
+
+    var view = null;
+    if ( request.query.view ) {
+        try {
+            view = JSON.parse( request.query.view );
+        }
+        catch ( ex ) {
+            final( {
+                error: 'invalid view',
+                message: ex,
+                code: 400
+            } );
+            return;
+        }
+    }
+
+    var opts = {
+        type: request.params.type,
+        q: request.query.q,
+        view: view,
+        limit: request.query.limit,
+        meta: {
+            user: request.user
+        }
+    };
+
+    self.objecticon.search( opts, function( error, results ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        _setServedBy( response, opts );
         response.json( results );
     } );
 };
@@ -240,10 +701,17 @@ Rest.prototype.update = function( request, response, final ) {
         return;
     }
 
+    var version = _getIfMatchVersion( request );
+    if ( version && version.error ) {
+        final( version );
+        return;
+    }
+
     self.objecticon.update( {
         type: request.params.type,
         id: request.params.id,
         changes: changes,
+        version: version,
         meta: {
             user: request.user
         }
@@ -253,6 +721,7 @@ Rest.prototype.update = function( request, response, final ) {
             return;
         }
 
+        self._setETag( response, object );
         response.json( object );
 
         var event = {
@@ -287,6 +756,279 @@ Rest.prototype.getLog = function( request, response, final ) {
     } );
 };
 
+Rest.prototype.queryLog = function( request, response, final ) {
+    var self = this;
+
+    var sort = null;
+    if ( request.query.sort ) {
+        try {
+            sort = JSON.parse( request.query.sort );
+        }
+        catch ( ex ) {
+            final( {
+                error: 'invalid sort',
+                message: ex,
+                code: 400
+            } );
+            return;
+        }
+    }
+
+    var opts = {
+        type: request.query.type,
+        id: request.query.id,
+        action: request.query.action ? request.query.action.split( ',' ) : null,
+        user: request.query.user,
+        since: request.query.since,
+        until: request.query.until,
+        sort: sort,
+        limit: request.query.limit,
+        cursor: request.query.cursor,
+        count: request.query.count === 'true',
+        meta: {
+            user: request.user
+        }
+    };
+
+    if ( request.query.follow === 'true' ) {
+        self._followLog( opts, request, response, final );
+        return;
+    }
+
+    self.objecticon.queryLog( opts, function( error, log, page ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        if ( page.next ) {
+            response.setHeader( 'X-Next-Cursor', page.next );
+        }
+
+        if ( typeof page.total !== 'undefined' ) {
+            response.setHeader( 'X-Total-Count', page.total );
+        }
+
+        response.json( log );
+    } );
+};
+
+// streams new entries as newline-delimited json until the client goes away
+Rest.prototype._followLog = function( opts, request, response, final ) {
+    var self = this;
+
+    self.objecticon.followLog( opts, function( error, feed ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        var ndjson = new stream.Transform( {
+            objectMode: true
+        } );
+
+        ndjson._transform = function( entry, encoding, next ) {
+            next( null, JSON.stringify( entry ) + '\n' );
+        };
+
+        response.writeHead( 200, {
+            'Content-Type': 'application/x-ndjson',
+            'Cache-Control': 'no-cache'
+        } );
+
+        request.on( 'close', function() {
+            feed.destroy();
+        } );
+
+        // the status has been sent, so a client dropped for falling behind gets the error in the body
+        feed.on( 'error', function( error ) {
+            ndjson.unpipe( response );
+            response.end( JSON.stringify( error ) + '\n' );
+        } );
+
+        feed.pipe( ndjson ).pipe( response );
+    } );
+};
+
+Rest.prototype.getAt = function( request, response, final ) {
+    var self = this;
+
+    self.objecticon.getAt( {
+        type: request.params.type,
+        id: request.params.id,
+        at: request.params.timestamp,
+        meta: {
+            user: request.user
+        }
+    }, function( error, object ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        response.json( object );
+    } );
+};
+
+Rest.prototype.revert = function( request, response, final ) {
+    var self = this;
+
+    var version = _getIfMatchVersion( request );
+    if ( version && version.error ) {
+        final( version );
+        return;
+    }
+
+    self.objecticon.revert( {
+        type: request.params.type,
+        id: request.params.id,
+        toLogEntry: request.params.entry,
+        version: version,
+        meta: {
+            user: request.user
+        }
+    }, function( error, object ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        self._setETag( response, object );
+        response.json( object );
+
+        var event = {
+            type: request.params.type,
+            obj: object,
+            id: request.params.id
+        };
+
+        self.emit( 'updated', event );
+        self.emit( 'updated.' + event.type, event );
+        self.emit( 'updated.' + event.type + '.' + event.id, event );
+    } );
+};
+
+// what a batch operation must look like, checked in order
+var _operationChecks = [ {
+    problem: 'must have an action of create, update or delete',
+    valid: function( operation ) {
+        return !!operation && typeof operation === 'object' && [ 'create', 'update', 'delete' ].indexOf( operation.action ) !== -1;
+    }
+}, {
+    problem: 'must have a type',
+    valid: function( operation ) {
+        return typeof operation.type === 'string' && !!operation.type;
+    }
+}, {
+    problem: 'must have an id',
+    valid: function( operation ) {
+        return operation.action === 'create' || typeof operation.id === 'string' && !!operation.id;
+    }
+}, {
+    problem: 'must have an object overlay',
+    valid: function( operation ) {
+        return typeof operation.overlay === 'undefined' || !!operation.overlay && typeof operation.overlay === 'object';
+    }
+}, {
+    problem: 'must have a list of changes',
+    valid: function( operation ) {
+        return typeof operation.changes === 'undefined' || Array.isArray( operation.changes );
+    }
+} ];
+
+// returns an 'invalid operation' error if a batch operation isn't shaped like one, or null
+function _checkOperation( operation, index ) {
+    var failed = null;
+    _operationChecks.some( function( check ) {
+        failed = check.valid( operation ) ? null : check;
+        return !!failed;
+    } );
+
+    return failed ? {
+        error: 'invalid operation',
+        message: 'Operation ' + index + ' ' + failed.problem + '.',
+        code: 400
+    } : null;
+}
+
+var _batchEvents = {
+    create: 'created',
+    update: 'updated',
+    delete: 'deleted'
+};
+
+// applies every operation in the body or none of them, responding with the results in order
+Rest.prototype.batch = function( request, response, final ) {
+    var self = this;
+
+    var operations = request.body && request.body.operations;
+    if ( !Array.isArray( operations ) ) {
+        final( {
+            error: 'no operations provided',
+            message: 'You must provide a list of operations to apply.',
+            code: 400
+        } );
+        return;
+    }
+
+    var invalid = null;
+    operations.some( function( operation, index ) {
+        invalid = _checkOperation( operation, index );
+        return !!invalid;
+    } );
+
+    if ( invalid ) {
+        final( invalid );
+        return;
+    }
+
+    // only the fields an operation is made of are passed on, not meta or anything else in the body
+    self.objecticon.batch( {
+        operations: operations.map( function( operation ) {
+            return {
+                action: operation.action,
+                type: operation.type,
+                id: operation.id,
+                overlay: operation.overlay,
+                changes: operation.changes,
+                version: operation.version
+            };
+        } ),
+        meta: {
+            user: request.user
+        }
+    }, function( error, results ) {
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        response.json( results );
+
+        // the same events as create, update and delete
+        operations.forEach( function( operation, index ) {
+            var eventName = _batchEvents[ operation.action ];
+            var event = {
+                type: operation.type
+            };
+
+            if ( operation.action !== 'delete' ) {
+                event.obj = results[ index ];
+            }
+
+            if ( operation.action !== 'create' ) {
+                event.id = operation.id;
+            }
+
+            self.emit( eventName, event );
+            self.emit( eventName + '.' + event.type, event );
+            if ( event.id ) {
+                self.emit( eventName + '.' + event.type + '.' + event.id, event );
+            }
+        } );
+    } );
+};
+
 Rest.prototype.Interface = {
     Rest: {}
 };
@@ -0,0 +1,64 @@
+'use strict';
+
+// json schema validation and defaults for objecticon types
+
+var extend = require( 'extend' );
+var Validator = require( 'jsonschema' ).Validator;
+
+exports.applyDefaults = applyDefaults;
+exports.validate = validate;
+
+var validator = new Validator();
+
+// fills in any missing properties that have a default in the schema, recursing into objects
+function applyDefaults( schema, object ) {
+    if ( !schema || !schema.properties || !object || typeof object !== 'object' ) {
+        return object;
+    }
+
+    Object.keys( schema.properties ).forEach( function( property ) {
+        var propertySchema = schema.properties[ property ];
+
+        if ( typeof object[ property ] === 'undefined' && typeof propertySchema.default !== 'undefined' ) {
+            var value = propertySchema.default;
+            object[ property ] = value && typeof value === 'object' ? extend( true, Array.isArray( value ) ? [] : {}, value ) : value;
+        }
+
+        applyDefaults( propertySchema, object[ property ] );
+    } );
+
+    return object;
+}
+
+function _getPath( error ) {
+    // jsonschema reports properties as instance.foo.bar[0], and missing required properties on their parent
+    var path = error.property.replace( /^instance\.?/, '' );
+    if ( error.name === 'required' ) {
+        path = path ? path + '.' + error.argument : error.argument;
+    }
+    return path;
+}
+
+// returns a list of { path: 'foo.bar', message: '...' }, empty if the object is valid. serverFields
+// are the top level fields objecticon sets itself, eg: the id and version, which are left out unless
+// the schema has a property for them, so a schema doesn't need to list them to allow them.
+function validate( schema, object, serverFields ) {
+    // validate what would be serialized, so dates are checked as strings
+    var instance = JSON.parse( JSON.stringify( object ) );
+
+    var properties = schema.properties || {};
+    ( serverFields || [] ).forEach( function( field ) {
+        if ( instance && !properties.hasOwnProperty( field ) ) {
+            delete instance[ field ];
+        }
+    } );
+
+    var result = validator.validate( instance, schema );
+
+    return result.errors.map( function( error ) {
+        return {
+            path: _getPath( error ),
+            message: error.message
+        };
+    } );
+}
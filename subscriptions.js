@@ -0,0 +1,266 @@
+'use strict';
+
+module.exports = Subscriptions;
+
+var async = require( 'async' );
+var extend = require( 'extend' );
+
+// pushes the changes objecticon makes out to subscribed clients, over server-sent events
+// or any websocket implementation with a send( string ) method and 'message'/'close' events.
+//
+// every message is checked against the subscriber's read rules before it is sent, and
+// changes to fields they may not read are left out.
+//
+// messages look like:
+// { event: 'updated', type: 'user', id: '...', changes: [ <deep-diff changes> ] }
+// { event: 'deleted', type: 'user', id: '...' }
+// { event: 'restored', type: 'user', id: '...', changes: [ ... ] }
+// { event: 'purged', type: 'user', id: '...' }
+
+// example binds for express:
+// var subscriptions = new Subscriptions( objecticonRest );
+// app.get( '/store/:type/subscribe', userCheckMiddleware, subscriptions.sse.bind( subscriptions ) );
+// app.get( '/store/:type/:id/subscribe', userCheckMiddleware, subscriptions.sse.bind( subscriptions ) );
+//
+// example for websockets, with the ws module:
+// wss.on( 'connection', function( socket ) {
+//     subscriptions.socket( socket, socket.upgradeReq.user );
+// } );
+//
+// websocket clients then send:
+// { action: 'subscribe', type: 'user', id: '...' } (id is optional)
+// { action: 'unsubscribe', type: 'user', id: '...' }
+
+var _defaults = {
+    heartbeat: 30000 // ms between sse keep-alive comments, 0 to disable
+};
+
+var _events = [ 'created', 'updated', 'deleted', 'restored', 'purged' ];
+
+function Subscriptions( rest, options ) {
+    var self = this;
+
+    self.options = extend( {}, _defaults, options );
+    self.objecticon = rest.objecticon;
+    self.subscribers = [];
+
+    _events.forEach( function( eventName ) {
+        self.objecticon.on( eventName, self._publish.bind( self, eventName ) );
+    } );
+
+    return self;
+}
+
+Subscriptions.prototype._publish = function( eventName, event ) {
+    var self = this;
+
+    var message = {
+        event: eventName,
+        type: event.type,
+        id: event.id
+    };
+
+    if ( event.changes ) {
+        message.changes = event.changes;
+    }
+
+    self.subscribers.forEach( function( subscriber ) {
+        if ( subscriber.type !== event.type.toLowerCase() || ( subscriber.id && subscriber.id !== event.id ) ) {
+            return;
+        }
+
+        var opts = {
+            type: event.type,
+            id: event.id,
+            results: event.obj,
+            meta: {
+                user: subscriber.user
+            }
+        };
+
+        async.waterfall( [
+            function( next ) {
+                self.objecticon._checkTypeRules( opts, 'read', next );
+            },
+
+            // fields the subscriber may not read are left out of the changes they are sent
+            function( next ) {
+                self.objecticon._getHiddenFields( opts, event.obj, next );
+            }
+        ], function( error, hidden ) {
+            // the subscriber may have gone while the rules were checked
+            if ( error || subscriber.closed ) {
+                return;
+            }
+
+            subscriber.send( hidden.length ? extend( {}, message, {
+                changes: self.objecticon._omitChangeFields( message.changes, hidden )
+            } ) : message );
+        } );
+    } );
+};
+
+Subscriptions.prototype.subscribe = function( subscriber ) {
+    var self = this;
+
+    subscriber.type = subscriber.type.toLowerCase();
+    subscriber.id = subscriber.id || null;
+    self.subscribers.push( subscriber );
+
+    return subscriber;
+};
+
+Subscriptions.prototype.unsubscribe = function( subscriber ) {
+    var self = this;
+
+    subscriber.closed = true;
+
+    var index = self.subscribers.indexOf( subscriber );
+    if ( index > -1 ) {
+        self.subscribers.splice( index, 1 );
+        return true;
+    }
+
+    return false;
+};
+
+Subscriptions.prototype.sse = function( request, response, final ) {
+    var self = this;
+
+    var type = request.params.type;
+    var id = request.params.id;
+    var closed = false;
+    var subscriber = null;
+    var heartbeat = null;
+
+    request.on( 'close', function() {
+        closed = true;
+        clearInterval( heartbeat );
+        if ( subscriber ) {
+            self.unsubscribe( subscriber );
+        }
+    } );
+
+    // when subscribing to a single object, make sure it exists and can be read first
+    self._checkSubscription( type, id, request.user, function( error ) {
+        if ( closed ) {
+            return;
+        }
+
+        if ( error ) {
+            final( error );
+            return;
+        }
+
+        response.writeHead( 200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        } );
+        response.write( ':ok\n\n' );
+
+        subscriber = self.subscribe( {
+            type: type,
+            id: id,
+            user: request.user,
+            send: function( message ) {
+                response.write( 'event: ' + message.event + '\ndata: ' + JSON.stringify( message ) + '\n\n' );
+            }
+        } );
+
+        heartbeat = self.options.heartbeat ? setInterval( function() {
+            response.write( ':\n\n' );
+        }, self.options.heartbeat ) : null;
+    } );
+};
+
+Subscriptions.prototype.socket = function( socket, user ) {
+    var self = this;
+
+    var subscribers = [];
+    var closed = false;
+
+    function send( message ) {
+        if ( !closed ) {
+            socket.send( JSON.stringify( message ) );
+        }
+    }
+
+    socket.on( 'message', function( data ) {
+        var request = null;
+        try {
+            request = JSON.parse( data );
+        }
+        catch ( ex ) {
+            send( {
+                error: 'invalid message',
+                message: 'Messages must be valid JSON.',
+                code: 400
+            } );
+            return;
+        }
+
+        if ( !request || typeof request.type !== 'string' ) {
+            send( {
+                error: 'invalid message',
+                message: 'You must specify a type to subscribe to.',
+                code: 400
+            } );
+            return;
+        }
+
+        if ( request.action === 'unsubscribe' ) {
+            subscribers = subscribers.filter( function( subscriber ) {
+                if ( subscriber.type === request.type.toLowerCase() && subscriber.id === ( request.id || null ) ) {
+                    self.unsubscribe( subscriber );
+                    return false;
+                }
+                return true;
+            } );
+            return;
+        }
+
+        self._checkSubscription( request.type, request.id, user, function( error ) {
+            if ( closed ) {
+                return;
+            }
+
+            if ( error ) {
+                send( error );
+                return;
+            }
+
+            subscribers.push( self.subscribe( {
+                type: request.type,
+                id: request.id,
+                user: user,
+                send: send
+            } ) );
+        } );
+    } );
+
+    socket.on( 'close', function() {
+        closed = true;
+        subscribers.forEach( self.unsubscribe.bind( self ) );
+        subscribers = [];
+    } );
+};
+
+Subscriptions.prototype._checkSubscription = function( type, id, user, callback ) {
+    var self = this;
+
+    if ( !id ) {
+        callback();
+        return;
+    }
+
+    self.objecticon.get( {
+        type: type,
+        id: id,
+        meta: {
+            user: user
+        }
+    }, function( error ) {
+        callback( error );
+    } );
+};
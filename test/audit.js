@@ -0,0 +1,193 @@
+'use strict';
+
+var assert = require( 'assert' );
+var fs = require( 'fs' );
+var os = require( 'os' );
+var path = require( 'path' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DataStore = require( '../datastore/index.js' );
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+
+// a logger that fails while it's down
+function _logger( name ) {
+    var logger = new DSMemoryDriver( {
+        name: name,
+        authoritative: 'query'
+    } );
+
+    var put = logger.put;
+    logger.down = false;
+    logger.put = function( type, object, options, callback ) {
+        if ( logger.down ) {
+            setImmediate( callback.bind( null, new Error( name + ' is down' ) ) );
+            return;
+        }
+
+        put.call( logger, type, object, options, callback );
+    };
+    return logger;
+}
+
+function _create( options ) {
+    return new DataStore( Object.assign( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        logRetryInterval: 5,
+        maxLogRetryInterval: 5,
+        create: function() {
+            return {};
+        }
+    }, options ) );
+}
+
+function _entries( logger ) {
+    var collection = logger._getCollection( 'auditlogentry' );
+    return Object.keys( collection ).map( function( id ) {
+        return collection[ id ].objectId;
+    } );
+}
+
+// retries are timed with unref'd timers
+function _wait( ms, callback ) {
+    setTimeout( callback, ms );
+}
+
+describe( 'audit log', function() {
+    it( 'delivers entries to a logger once it comes back', function( t, done ) {
+        var logger = _logger( 'audit' );
+        var ds = _create( {
+            loggers: [ logger ]
+        } );
+
+        logger.down = true;
+        ds.put( 'user', {
+            id: 'a'
+        }, function( error ) {
+            assert.ifError( error );
+            assert.strictEqual( ds.getLogStatus().pending, 1 );
+
+            logger.down = false;
+            _wait( 50, function() {
+                assert.deepStrictEqual( _entries( logger ), [ 'a' ] );
+                assert.strictEqual( ds.getLogStatus().pending, 0 );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'keeps entries for the right logger when another is removed', function( t, done ) {
+        var first = _logger( 'first' );
+        var second = _logger( 'second' );
+        var ds = _create( {
+            loggers: [ first, second ]
+        } );
+
+        second.down = true;
+        ds.put( 'user', {
+            id: 'a'
+        }, function( error ) {
+            assert.ifError( error );
+
+            _wait( 20, function() {
+                ds.removeLogger( first );
+                second.down = false;
+
+                _wait( 50, function() {
+                    assert.deepStrictEqual( _entries( second ), [ 'a' ] );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'finds named loggers after a restart with them in another order', function( t, done ) {
+        var dir = fs.mkdtempSync( path.join( os.tmpdir(), 'objecticon-outbox-' ) );
+        var first = _logger( 'first' );
+        var second = _logger( 'second' );
+
+        second.down = true;
+        _create( {
+            loggers: [ first, second ],
+            outboxPath: dir,
+            logRetryInterval: 60000
+        } ).put( 'user', {
+            id: 'a'
+        }, function( error ) {
+            assert.ifError( error );
+
+            second.down = false;
+            var restarted = _create( {
+                loggers: [ second, first ],
+                outboxPath: dir
+            } );
+
+            _wait( 50, function() {
+                assert.deepStrictEqual( _entries( second ), [ 'a' ] );
+                assert.strictEqual( restarted.getLogStatus().pending, 0 );
+                fs.rmSync( dir, {
+                    recursive: true,
+                    force: true
+                } );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'refuses writes once maxLogBacklog entries are waiting', function( t, done ) {
+        var logger = _logger( 'audit' );
+        var ds = _create( {
+            loggers: [ logger ],
+            maxLogBacklog: 1,
+            logRetryInterval: 60000
+        } );
+
+        logger.down = true;
+        ds.put( 'user', {
+            id: 'a'
+        }, function( error ) {
+            assert.ifError( error );
+
+            ds.put( 'user', {
+                id: 'b'
+            }, function( error ) {
+                assert.strictEqual( error && error.code, 503 );
+
+                ds.get( 'user', 'b', function( error, user ) {
+                    assert.ifError( error );
+                    assert.strictEqual( user, null );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'undoes a strictAudit write a logger fails to record, and removes its other entries', function( t, done ) {
+        var first = _logger( 'first' );
+        var second = _logger( 'second' );
+        var ds = _create( {
+            loggers: [ first, second ],
+            strictAudit: true
+        } );
+
+        ds.on( 'logError', function() {} );
+
+        second.down = true;
+        ds.put( 'user', {
+            id: 'a'
+        }, {
+            previous: null
+        }, function( error ) {
+            assert.strictEqual( error && error.code, 503 );
+            assert.deepStrictEqual( _entries( first ), [] );
+
+            ds.get( 'user', 'a', function( error, user ) {
+                assert.ifError( error );
+                assert.strictEqual( user, null );
+                done();
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,201 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+var Rest = require( '../rest.js' );
+
+function _ownerOnly( opts, next ) {
+    var object = opts.updated || opts.results;
+    next( object && object.ownerId === opts.meta.user.id ? null : {
+        error: 'permission denied',
+        code: 403
+    } );
+}
+
+function _create() {
+    var objecticon = new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ]
+    } );
+
+    [ 'create', 'write', 'read', 'delete' ].forEach( function( action ) {
+        objecticon.addRule( 'note', action, _ownerOnly );
+    } );
+
+    return objecticon;
+}
+
+function _response( callback ) {
+    return {
+        json: callback
+    };
+}
+
+describe( 'batch', function() {
+    it( 'writes every operation, or none', function( t, done ) {
+        var objecticon = _create();
+        var meta = {
+            user: {
+                id: 'alice'
+            }
+        };
+
+        objecticon.batch( {
+            operations: [ {
+                action: 'create',
+                type: 'note',
+                overlay: {
+                    ownerId: 'alice'
+                }
+            }, {
+                action: 'create',
+                type: 'note',
+                overlay: {
+                    ownerId: 'bob'
+                }
+            } ],
+            meta: meta
+        }, function( error ) {
+            assert.strictEqual( error.code, 403 );
+
+            objecticon.ds.query( 'note', {}, {}, function( error, results ) {
+                assert.ifError( error );
+                assert.strictEqual( results.length, 0 );
+                done();
+            } );
+        } );
+    } );
+
+    it( "doesn't let an operation's meta or internal fields past the rules", function( t, done ) {
+        var objecticon = _create();
+
+        objecticon.batch( {
+            operations: [ {
+                action: 'create',
+                type: 'note',
+                overlay: {
+                    ownerId: 'mallory'
+                },
+                meta: {
+                    user: {
+                        id: 'mallory'
+                    }
+                },
+                updated: {
+                    ownerId: 'alice',
+                    secret: 'chosen'
+                },
+                logAction: 'snapshot'
+            } ],
+            meta: {
+                user: {
+                    id: 'alice'
+                }
+            }
+        }, function( error ) {
+            assert.strictEqual( error && error.code, 403 );
+
+            objecticon.ds.query( 'note', {}, {}, function( error, results ) {
+                assert.ifError( error );
+                assert.strictEqual( results.length, 0 );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'rejects malformed operations over rest', function( t, done ) {
+        var rest = new Rest( {
+            drivers: [ new DSMemoryDriver( {
+                authoritative: 'get,query,search'
+            } ) ]
+        } );
+
+        rest.batch( {
+            body: {
+                operations: [ {
+                    action: 'update',
+                    type: 'note'
+                } ]
+            },
+            user: {
+                id: 'alice'
+            }
+        }, _response( function() {
+            assert.fail( 'the batch should not be applied' );
+        } ), function( error ) {
+            assert.strictEqual( error.error, 'invalid operation' );
+            assert.strictEqual( error.code, 400 );
+            done();
+        } );
+    } );
+
+    it( 'emits the same events over rest as single writes', function( t, done ) {
+        var rest = new Rest( {
+            drivers: [ new DSMemoryDriver( {
+                authoritative: 'get,query,search'
+            } ) ]
+        } );
+
+        [ 'create', 'write', 'read', 'delete' ].forEach( function( action ) {
+            rest.objecticon.addRule( 'note', action, _ownerOnly );
+        } );
+
+        var meta = {
+            user: {
+                id: 'alice'
+            }
+        };
+
+        rest.objecticon.create( {
+            type: 'note',
+            overlay: {
+                ownerId: 'alice'
+            },
+            meta: meta
+        }, function( error, note ) {
+            assert.ifError( error );
+
+            var events = [];
+            [ 'created', 'deleted', 'deleted.note', 'deleted.note.' + note.id ].forEach( function( name ) {
+                rest.on( name, function( event ) {
+                    events.push( name + ':' + ( event.id || event.obj.ownerId ) );
+                } );
+            } );
+
+            rest.batch( {
+                body: {
+                    operations: [ {
+                        action: 'create',
+                        type: 'note',
+                        overlay: {
+                            ownerId: 'alice'
+                        }
+                    }, {
+                        action: 'delete',
+                        type: 'note',
+                        id: note.id
+                    } ]
+                },
+                user: meta.user
+            }, _response( function( results ) {
+                assert.strictEqual( results.length, 2 );
+
+                // events are emitted once the response is sent
+                setImmediate( function() {
+                    assert.deepStrictEqual( events, [
+                        'created:alice',
+                        'deleted:' + note.id,
+                        'deleted.note:' + note.id,
+                        'deleted.note.' + note.id + ':' + note.id
+                    ] );
+                    done();
+                } );
+            } ), done );
+        } );
+    } );
+} );
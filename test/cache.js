@@ -0,0 +1,105 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSCacheDriver = require( '../datastore/drivers/cache.js' );
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+
+// a cache over a memory driver that counts the reads reaching it
+function _create( options ) {
+    var driver = new DSMemoryDriver();
+    driver._getCollection( 'user' ).a = {
+        id: 'a',
+        name: 'Ada'
+    };
+
+    driver.reads = 0;
+    [ 'get', 'query' ].forEach( function( method ) {
+        var read = driver[ method ];
+        driver[ method ] = function() {
+            driver.reads++;
+            return read.apply( driver, arguments );
+        };
+    } );
+
+    return new DSCacheDriver( Object.assign( {
+        driver: driver
+    }, options ) );
+}
+
+describe( 'cache driver', function() {
+    it( 'serves repeated gets and queries from the cache', function( t, done ) {
+        var cache = _create();
+
+        cache.get( 'user', 'a', function( error ) {
+            assert.ifError( error );
+
+            cache.get( 'user', 'a', function( error, user ) {
+                assert.ifError( error );
+                assert.strictEqual( user.name, 'Ada' );
+
+                cache.query( 'user', {
+                    name: 'Ada'
+                }, {}, function( error ) {
+                    assert.ifError( error );
+
+                    cache.query( 'user', {
+                        name: 'Ada'
+                    }, {}, function( error, results ) {
+                        assert.ifError( error );
+                        assert.strictEqual( results.length, 1 );
+                        assert.strictEqual( cache.driver.reads, 2 );
+                        assert.strictEqual( cache.getStats().hits, 2 );
+                        done();
+                    } );
+                } );
+            } );
+        } );
+    } );
+
+    it( 'refreshes the object and drops cached queries on a write', function( t, done ) {
+        var cache = _create();
+
+        cache.query( 'user', {}, {}, function( error ) {
+            assert.ifError( error );
+
+            cache.put( 'user', {
+                id: 'b',
+                name: 'Grace'
+            }, {}, function( error ) {
+                assert.ifError( error );
+
+                cache.query( 'user', {}, {}, function( error, results ) {
+                    assert.ifError( error );
+                    assert.strictEqual( results.length, 2 );
+
+                    cache.get( 'user', 'b', function( error, user ) {
+                        assert.ifError( error );
+                        assert.strictEqual( user.name, 'Grace' );
+                        assert.strictEqual( cache.driver.reads, 2 );
+                        done();
+                    } );
+                } );
+            } );
+        } );
+    } );
+
+    it( 'evicts the least recently used entries past maxEntries', function( t, done ) {
+        var cache = _create( {
+            maxEntries: 1
+        } );
+
+        cache.get( 'user', 'a', function( error ) {
+            assert.ifError( error );
+
+            cache.query( 'user', {}, {}, function( error ) {
+                assert.ifError( error );
+                assert.strictEqual( cache.getStats().entries, 1 );
+                assert.strictEqual( cache.getStats().evictions, 1 );
+                done();
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,128 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DataStore = require( '../datastore/index.js' );
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+
+function _create() {
+    var logger = new DSMemoryDriver( {
+        authoritative: 'query'
+    } );
+
+    var ds = new DataStore( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        loggers: [ logger ],
+        strictAudit: true,
+        create: function() {
+            return {};
+        }
+    } );
+
+    return {
+        ds: ds,
+        logger: logger
+    };
+}
+
+function _getLog( logger, callback ) {
+    logger.query( 'auditlogentry', {}, {
+        sort: {
+            createdAt: 1
+        }
+    }, callback );
+}
+
+describe( 'DataStore put and delete', function() {
+    it( 'log options.meta', function( t, done ) {
+        var store = _create();
+        store.ds.put( 'user', {
+            id: 'a'
+        }, {
+            meta: {
+                user: 'alice'
+            },
+            action: 'create'
+        }, function( error ) {
+            assert.ifError( error );
+
+            _getLog( store.logger, function( error, entries ) {
+                assert.ifError( error );
+                assert.strictEqual( entries[ 0 ].action, 'create' );
+                assert.strictEqual( entries[ 0 ].meta.user, 'alice' );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'still take meta as the third argument', function( t, done ) {
+        var store = _create();
+        store.ds.put( 'user', {
+            id: 'a'
+        }, {
+            user: 'alice'
+        }, function( error ) {
+            assert.ifError( error );
+
+            store.ds.delete( 'user', 'a', {
+                user: 'bob'
+            }, function( error ) {
+                assert.ifError( error );
+
+                _getLog( store.logger, function( error, entries ) {
+                    assert.ifError( error );
+                    assert.deepStrictEqual( entries.map( function( entry ) {
+                        return entry.action + ':' + entry.meta.user;
+                    } ), [ 'put:alice', 'delete:bob' ] );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'work without options', function( t, done ) {
+        var store = _create();
+        store.ds.put( 'user', {
+            id: 'a'
+        }, undefined, function( error ) {
+            assert.ifError( error );
+
+            store.ds.delete( 'user', 'a', function( error ) {
+                assert.ifError( error );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'fail with a version conflict when the expected version is stale', function( t, done ) {
+        var store = _create();
+        store.ds.put( 'user', {
+            id: 'a',
+            _version: 1
+        }, {
+            expectedVersion: 0
+        }, function( error ) {
+            assert.ifError( error );
+
+            store.ds.put( 'user', {
+                id: 'a',
+                _version: 1
+            }, {
+                expectedVersion: 0
+            }, function( error ) {
+                assert.strictEqual( error && error.code, 409 );
+
+                store.ds.delete( 'user', 'a', {
+                    expectedVersion: 2
+                }, function( error ) {
+                    assert.strictEqual( error && error.code, 409 );
+                    done();
+                } );
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,116 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DataStore = require( '../datastore/index.js' );
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+
+// a memory driver whose gets fail, or never return, while it's down
+function _driver( options ) {
+    var driver = new DSMemoryDriver( options );
+    driver._getCollection( 'user' ).a = {
+        id: 'a',
+        name: options.name
+    };
+
+    var get = driver.get;
+    driver.down = false;
+    driver.gets = 0;
+    driver.get = function( type, id, options, callback ) {
+        driver.gets++;
+        if ( driver.down === 'hang' ) {
+            return;
+        }
+
+        if ( driver.down ) {
+            setImmediate( callback.bind( null, new Error( 'down' ) ) );
+            return;
+        }
+
+        get.call( driver, type, id, options, callback );
+    };
+    return driver;
+}
+
+function _create( options ) {
+    var primary = _driver( {
+        name: 'primary',
+        authoritative: 'get'
+    } );
+    var backup = _driver( {
+        name: 'backup',
+        fallback: 'get'
+    } );
+
+    var ds = new DataStore( Object.assign( {
+        drivers: [ primary, backup ],
+        create: function() {
+            return {};
+        }
+    }, options ) );
+
+    return {
+        ds: ds,
+        primary: primary,
+        backup: backup
+    };
+}
+
+describe( 'read failover', function() {
+    it( 'reads from the fallback driver when the authoritative one fails', function( t, done ) {
+        var store = _create();
+        store.primary.down = true;
+
+        store.ds.get( 'user', 'a', {}, function( error, user, servedBy ) {
+            assert.ifError( error );
+            assert.strictEqual( user.name, 'backup' );
+            assert.strictEqual( servedBy, 'backup' );
+            done();
+        } );
+    } );
+
+    it( 'skips a driver once it has failed breakerThreshold times in a row', function( t, done ) {
+        var store = _create( {
+            breakerThreshold: 1
+        } );
+        store.primary.down = true;
+
+        store.ds.get( 'user', 'a', {}, function( error ) {
+            assert.ifError( error );
+
+            store.ds.get( 'user', 'a', {}, function( error, user ) {
+                assert.ifError( error );
+                assert.strictEqual( user.name, 'backup' );
+                assert.strictEqual( store.primary.gets, 1 );
+                assert.strictEqual( store.ds.getDriverHealth()[ 0 ].available, false );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'gives up on a read after readTimeout', function( t, done ) {
+        var store = _create( {
+            readTimeout: 20
+        } );
+        store.primary.down = 'hang';
+
+        store.ds.get( 'user', 'a', {}, function( error, user, servedBy ) {
+            assert.ifError( error );
+            assert.strictEqual( servedBy, 'backup' );
+            done();
+        } );
+    } );
+
+    it( 'calls back with every failure when all the drivers fail', function( t, done ) {
+        var store = _create();
+        store.primary.down = true;
+        store.backup.down = true;
+
+        store.ds.get( 'user', 'a', {}, function( error ) {
+            assert.strictEqual( error.attempts.length, 2 );
+            done();
+        } );
+    } );
+} );
@@ -0,0 +1,156 @@
+'use strict';
+
+var assert = require( 'assert' );
+var fs = require( 'fs' );
+var os = require( 'os' );
+var path = require( 'path' );
+var afterEach = require( 'node:test' ).afterEach;
+var beforeEach = require( 'node:test' ).beforeEach;
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSFileDriver = require( '../datastore/drivers/file.js' );
+
+function _line( entry ) {
+    return JSON.stringify( entry ) + '\n';
+}
+
+function _put( id ) {
+    return {
+        op: 'put',
+        type: 'user',
+        object: {
+            id: id
+        }
+    };
+}
+
+describe( 'file driver', function() {
+    var dir = null;
+    var drivers = [];
+
+    function _open() {
+        var driver = new DSFileDriver( {
+            path: dir
+        } );
+        drivers.push( driver );
+        return driver;
+    }
+
+    beforeEach( function() {
+        dir = fs.mkdtempSync( path.join( os.tmpdir(), 'objecticon-file-' ) );
+        drivers = [];
+    } );
+
+    afterEach( function( t, done ) {
+        var open = drivers;
+        var remaining = open.length;
+        function closed() {
+            if ( --remaining <= 0 ) {
+                fs.rmSync( dir, {
+                    recursive: true,
+                    force: true
+                } );
+                done();
+            }
+        }
+
+        if ( !remaining ) {
+            closed();
+            return;
+        }
+
+        open.forEach( function( driver ) {
+            driver.close( closed );
+        } );
+    } );
+
+    it( 'keeps writes across a restart', function( t, done ) {
+        var driver = _open();
+        driver.put( 'user', {
+            id: 'a',
+            name: 'alice'
+        }, function( error ) {
+            assert.ifError( error );
+
+            driver.close( function() {
+                _open().get( 'user', 'a', function( error, user ) {
+                    assert.ifError( error );
+                    assert.strictEqual( user.name, 'alice' );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'cuts off a torn final line so later writes survive a restart', function( t, done ) {
+        fs.writeFileSync( path.join( dir, 'journal.ndjson' ), _line( _put( 'a' ) ) + _line( _put( 'b' ) ).slice( 0, 20 ) );
+
+        var driver = _open();
+        driver.put( 'user', {
+            id: 'c'
+        }, function( error ) {
+            assert.ifError( error );
+
+            driver.put( 'user', {
+                id: 'd'
+            }, function( error ) {
+                assert.ifError( error );
+
+                driver.close( function() {
+                    var reopened = _open();
+                    reopened.query( 'user', {}, {}, function( error, users ) {
+                        assert.ifError( error );
+                        assert.deepStrictEqual( users.map( function( user ) {
+                            return user.id;
+                        } ).sort(), [ 'a', 'c', 'd' ] );
+                        done();
+                    } );
+                } );
+            } );
+        } );
+    } );
+
+    it( 'refuses a journal that is corrupt before its last line', function( t, done ) {
+        fs.writeFileSync( path.join( dir, 'journal.ndjson' ), '{"op":\n' + _line( _put( 'a' ) ) );
+
+        _open().get( 'user', 'a', function( error ) {
+            assert.ok( /Corrupt journal entry/.test( error && error.message ) );
+            done();
+        } );
+    } );
+
+    it( 'folds a leftover journal.compacting into the snapshot on open', function( t, done ) {
+        fs.writeFileSync( path.join( dir, 'journal.compacting' ), _line( _put( 'stale' ) ) );
+
+        _open().get( 'user', 'stale', function( error, user ) {
+            assert.ifError( error );
+            assert.strictEqual( user.id, 'stale' );
+            assert.ok( !fs.existsSync( path.join( dir, 'journal.compacting' ) ) );
+            assert.ok( fs.readFileSync( path.join( dir, 'snapshot.json' ), 'utf8' ).indexOf( 'stale' ) !== -1 );
+            done();
+        } );
+    } );
+
+    it( 'calls back compactions started during one when it completes', function( t, done ) {
+        var driver = _open();
+        driver.put( 'user', {
+            id: 'a'
+        }, function( error ) {
+            assert.ifError( error );
+
+            var finished = 0;
+            function compacted( error ) {
+                assert.ifError( error );
+                assert.ok( fs.existsSync( path.join( dir, 'snapshot.json' ) ) );
+                assert.ok( !fs.existsSync( path.join( dir, 'journal.compacting' ) ) );
+                if ( ++finished === 2 ) {
+                    done();
+                }
+            }
+
+            driver.compact( compacted );
+            driver.compact( compacted );
+        } );
+    } );
+} );
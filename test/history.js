@@ -0,0 +1,131 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+// the entry that recorded the first version
+function _isFirst( entry ) {
+    return JSON.parse( entry.meta.diff ).some( function( change ) {
+        return change.path[ 0 ] === '_version' && change.rhs === 1;
+    } );
+}
+
+// a user created as Ada and renamed, with its entries in the log before each write calls back
+function _create( callback ) {
+    var objecticon = new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        loggers: [ new DSMemoryDriver( {
+            authoritative: 'query'
+        } ) ],
+        strictAudit: true,
+        strict: false
+    } );
+
+    objecticon.create( {
+        type: 'user',
+        overlay: {
+            name: 'Ada'
+        }
+    }, function( error, user ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        objecticon.update( {
+            type: 'user',
+            id: user.id,
+            changes: [ {
+                kind: 'E',
+                path: [ 'name' ],
+                lhs: 'Ada',
+                rhs: 'Ada Lovelace'
+            } ]
+        }, function( error ) {
+            if ( error ) {
+                callback( error );
+                return;
+            }
+
+            objecticon.getLog( {
+                type: 'user',
+                id: user.id
+            }, function( error, entries ) {
+                callback( error, objecticon, user.id, ( entries || [] ).filter( _isFirst )[ 0 ] );
+            } );
+        } );
+    } );
+}
+
+describe( 'history', function() {
+    it( 'rebuild an object as it was at a log entry', function( t, done ) {
+        _create( function( error, objecticon, id, created ) {
+            assert.ifError( error );
+
+            objecticon.getAt( {
+                type: 'user',
+                id: id,
+                at: created.id
+            }, function( error, user ) {
+                assert.ifError( error );
+                assert.strictEqual( user.name, 'Ada' );
+                assert.strictEqual( user._version, 1 );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'revert an object to a revision as a new version', function( t, done ) {
+        _create( function( error, objecticon, id, created ) {
+            assert.ifError( error );
+
+            var updated = null;
+            objecticon.on( 'updated', function( event ) {
+                updated = event;
+            } );
+
+            objecticon.revert( {
+                type: 'user',
+                id: id,
+                toLogEntry: created.id
+            }, function( error, user ) {
+                assert.ifError( error );
+                assert.strictEqual( user.name, 'Ada' );
+                assert.strictEqual( user._version, 3 );
+
+                objecticon.getLog( {
+                    type: 'user',
+                    id: id
+                }, function( error, entries ) {
+                    assert.ifError( error );
+                    assert.strictEqual( updated && updated.id, id );
+                    assert.strictEqual( entries.filter( function( entry ) {
+                        return entry.meta && entry.meta.revertedTo === created.id;
+                    } ).length, 1 );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( "refuse a log entry that isn't the object's", function( t, done ) {
+        _create( function( error, objecticon, id ) {
+            assert.ifError( error );
+
+            objecticon.revert( {
+                type: 'user',
+                id: id,
+                toLogEntry: 'missing'
+            }, function( error ) {
+                assert.strictEqual( error && error.code, 404 );
+                done();
+            } );
+        } );
+    } );
+} );
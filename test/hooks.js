@@ -0,0 +1,88 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+function _create() {
+    return new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        strict: false
+    } );
+}
+
+describe( 'hooks', function() {
+    it( 'let before hooks change what is written, and after hooks what is returned', function( t, done ) {
+        var objecticon = _create();
+
+        objecticon.addHook( 'user', 'before', 'create', function( opts, next ) {
+            opts.updated.createdBy = opts.meta.user.id;
+            next();
+        } );
+
+        objecticon.addHook( 'user', 'after', 'get', function( opts, next ) {
+            opts.results.greeting = 'Hello, ' + opts.results.name;
+            next();
+        } );
+
+        objecticon.create( {
+            type: 'user',
+            overlay: {
+                name: 'Ada'
+            },
+            meta: {
+                user: {
+                    id: 'u1'
+                }
+            }
+        }, function( error, user ) {
+            assert.ifError( error );
+            assert.strictEqual( user.createdBy, 'u1' );
+
+            objecticon.get( {
+                type: 'user',
+                id: user.id
+            }, function( error, stored ) {
+                assert.ifError( error );
+                assert.strictEqual( stored.createdBy, 'u1' );
+                assert.strictEqual( stored.greeting, 'Hello, Ada' );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'abort a write when a before hook throws', function( t, done ) {
+        var objecticon = _create();
+
+        objecticon.addHook( 'user', 'before', 'create', function( opts ) {
+            if ( !opts.updated.name ) {
+                throw {
+                    error: 'invalid user',
+                    message: 'Users need a name.',
+                    code: 400
+                };
+            }
+        } );
+
+        objecticon.create( {
+            type: 'user',
+            overlay: {}
+        }, function( error ) {
+            assert.strictEqual( error && error.error, 'invalid user' );
+
+            objecticon.query( {
+                type: 'user',
+                query: {}
+            }, function( error, results ) {
+                assert.ifError( error );
+                assert.strictEqual( results.length, 0 );
+                done();
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,87 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+function _create() {
+    return new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        loggers: [ new DSMemoryDriver( {
+            authoritative: 'query'
+        } ) ],
+        strictAudit: true,
+        strict: false
+    } );
+}
+
+function _createAs( objecticon, type, userId, callback ) {
+    objecticon.create( {
+        type: type,
+        overlay: {
+            name: userId + "'s " + type
+        },
+        meta: {
+            user: {
+                id: userId
+            }
+        }
+    }, callback );
+}
+
+describe( 'audit log queries', function() {
+    it( 'find entries across types by user', function( t, done ) {
+        var objecticon = _create();
+
+        _createAs( objecticon, 'note', 'ada', function( error ) {
+            assert.ifError( error );
+
+            _createAs( objecticon, 'task', 'ada', function( error ) {
+                assert.ifError( error );
+
+                _createAs( objecticon, 'note', 'grace', function( error ) {
+                    assert.ifError( error );
+
+                    objecticon.queryLog( {
+                        user: 'ada',
+                        count: true
+                    }, function( error, entries, page ) {
+                        assert.ifError( error );
+                        assert.deepStrictEqual( entries.map( function( entry ) {
+                            return entry.type;
+                        } ).sort(), [ 'note', 'task' ] );
+                        assert.strictEqual( page.total, 2 );
+                        done();
+                    } );
+                } );
+            } );
+        } );
+    } );
+
+    it( 'follow new entries as they are logged', function( t, done ) {
+        var objecticon = _create();
+
+        objecticon.followLog( {
+            type: 'note'
+        }, function( error, feed ) {
+            assert.ifError( error );
+
+            feed.on( 'data', function( entry ) {
+                assert.strictEqual( entry.type, 'note' );
+                assert.strictEqual( entry.meta.user.id, 'grace' );
+                feed.destroy();
+                done();
+            } );
+
+            _createAs( objecticon, 'task', 'ada', function( error ) {
+                assert.ifError( error );
+                _createAs( objecticon, 'note', 'grace', assert.ifError );
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,120 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+
+function _create( callback ) {
+    var driver = new DSMemoryDriver();
+    driver.batch( [ {
+        action: 'put',
+        type: 'user',
+        object: {
+            id: 'a',
+            name: 'Ada',
+            age: 36
+        }
+    }, {
+        action: 'put',
+        type: 'user',
+        object: {
+            id: 'b',
+            name: 'Grace',
+            age: 85
+        }
+    } ], function( error ) {
+        callback( error, driver );
+    } );
+}
+
+describe( 'memory driver', function() {
+    it( 'keeps its own copies of the objects written and read', function( t, done ) {
+        var driver = new DSMemoryDriver();
+        var user = {
+            id: 'a',
+            name: 'Ada'
+        };
+
+        driver.put( 'user', user, function( error ) {
+            assert.ifError( error );
+            user.name = 'changed';
+
+            driver.get( 'user', 'a', function( error, stored ) {
+                assert.ifError( error );
+                assert.strictEqual( stored.name, 'Ada' );
+                stored.name = 'changed';
+
+                driver.get( 'user', 'a', function( error, again ) {
+                    assert.ifError( error );
+                    assert.strictEqual( again.name, 'Ada' );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'evaluates json and uniql queries, with a view', function( t, done ) {
+        _create( function( error, driver ) {
+            assert.ifError( error );
+
+            driver.query( 'user', {
+                age: {
+                    $gt: 40
+                }
+            }, function( error, results ) {
+                assert.ifError( error );
+                assert.deepStrictEqual( results, [ {
+                    id: 'b',
+                    name: 'Grace',
+                    age: 85
+                } ] );
+
+                driver.query( 'user', 'age < 40', {
+                    view: {
+                        name: 1
+                    }
+                }, function( error, results ) {
+                    assert.ifError( error );
+                    assert.deepStrictEqual( results, [ {
+                        id: 'a',
+                        name: 'Ada'
+                    } ] );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'finds objects with every search term', function( t, done ) {
+        _create( function( error, driver ) {
+            assert.ifError( error );
+
+            driver.search( 'user', 'grace', function( error, results ) {
+                assert.ifError( error );
+                assert.deepStrictEqual( results.map( function( result ) {
+                    return result.id;
+                } ), [ 'b' ] );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'removes objects, calling back with the number removed', function( t, done ) {
+        _create( function( error, driver ) {
+            assert.ifError( error );
+
+            driver.delete( 'user', 'a', function( error, numRemoved ) {
+                assert.ifError( error );
+                assert.strictEqual( numRemoved, 1 );
+
+                driver.get( 'user', 'a', function( error, user ) {
+                    assert.ifError( error );
+                    assert.strictEqual( user, null );
+                    done();
+                } );
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,133 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+// users stored before the name field was split
+function _create() {
+    var driver = new DSMemoryDriver( {
+        authoritative: 'get,query,search'
+    } );
+
+    var objecticon = new Objecticon( {
+        drivers: [ driver ],
+        strict: false
+    } );
+
+    var users = driver._getCollection( 'user' );
+    users.a = {
+        id: 'a',
+        name: 'Ada Lovelace',
+        _version: 2
+    };
+    users.b = {
+        id: 'b',
+        name: 'Grace Hopper',
+        hidden: true,
+        _version: 1
+    };
+
+    objecticon.addMigration( 'user', 1, function( user ) {
+        var parts = user.name.split( ' ' );
+        user.first = parts[ 0 ];
+        user.last = parts[ 1 ];
+        delete user.name;
+    } );
+
+    objecticon.addRule( 'user', 'read', function( opts, next ) {
+        next( opts.results.hidden ? {
+            error: 'permission denied',
+            code: 403
+        } : null );
+    } );
+
+    objecticon.addRule( 'user', 'query', function( opts, next ) {
+        next( opts.results.hidden ? {
+            error: 'permission denied',
+            code: 403
+        } : null );
+    } );
+
+    return {
+        objecticon: objecticon,
+        users: users
+    };
+}
+
+describe( 'migrations', function() {
+    it( 'migrate objects as they are read, and write them back at the next version', function( t, done ) {
+        var store = _create();
+        store.objecticon.get( {
+            type: 'user',
+            id: 'a'
+        }, function( error, user ) {
+            assert.ifError( error );
+            assert.strictEqual( user.first, 'Ada' );
+            assert.strictEqual( user._version, 3 );
+            assert.strictEqual( store.users.a._schemaVersion, 1 );
+            assert.strictEqual( store.users.a._version, 3 );
+            done();
+        } );
+    } );
+
+    it( "don't write back objects the reader isn't allowed to see", function( t, done ) {
+        var store = _create();
+        store.objecticon.get( {
+            type: 'user',
+            id: 'b'
+        }, function( error ) {
+            assert.strictEqual( error && error.code, 403 );
+            assert.strictEqual( store.users.b.name, 'Grace Hopper' );
+            assert.strictEqual( store.users.b._version, 1 );
+            done();
+        } );
+    } );
+
+    it( 'migrate query results before applying a view', function( t, done ) {
+        var store = _create();
+        store.objecticon.query( {
+            type: 'user',
+            query: {},
+            view: {
+                first: 1
+            }
+        }, function( error, users ) {
+            assert.ifError( error );
+            assert.deepStrictEqual( users, [ {
+                id: 'a',
+                first: 'Ada'
+            } ] );
+            assert.strictEqual( store.users.b._schemaVersion, undefined );
+            done();
+        } );
+    } );
+
+    it( 'migrate streamed query results', function( t, done ) {
+        var store = _create();
+        store.objecticon.queryStream( {
+            type: 'user',
+            query: {},
+            view: {
+                last: 1
+            }
+        }, function( error, results ) {
+            assert.ifError( error );
+
+            var users = [];
+            results.on( 'data', users.push.bind( users ) );
+            results.on( 'end', function() {
+                assert.deepStrictEqual( users, [ {
+                    id: 'a',
+                    last: 'Lovelace'
+                } ] );
+                assert.strictEqual( store.users.a._schemaVersion, 1 );
+                assert.strictEqual( store.users.b._schemaVersion, undefined );
+                done();
+            } );
+        } );
+    } );
+} );
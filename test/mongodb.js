@@ -0,0 +1,136 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMongoDBDriver = require( '../datastore/drivers/mongodb.js' );
+
+// just enough of a collection for versioned writes, keyed on options.idField
+function _collection( idField ) {
+    var collection = {
+        docs: {},
+        indexes: [],
+
+        createIndex: function( index, options, callback ) {
+            collection.indexes.push( {
+                index: index,
+                options: options
+            } );
+            setImmediate( callback );
+        },
+
+        insertOne: function( doc, callback ) {
+            if ( collection.docs[ doc[ idField ] ] ) {
+                callback( {
+                    code: 11000
+                } );
+                return;
+            }
+
+            collection.docs[ doc[ idField ] ] = doc;
+            callback();
+        },
+
+        update: function( criteria, doc, options, callback ) {
+            var stored = collection.docs[ criteria[ idField ] ];
+            var matched = stored && stored._version === criteria._version;
+            if ( matched ) {
+                collection.docs[ criteria[ idField ] ] = doc;
+            }
+
+            callback( null, {
+                result: {
+                    n: matched ? 1 : 0
+                }
+            } );
+        }
+    };
+
+    return collection;
+}
+
+function _create( idField ) {
+    var collection = _collection( idField );
+    var driver = new DSMongoDBDriver( {
+        uri: 'mongodb://localhost/test',
+        idField: idField
+    } );
+
+    driver.db = {
+        collection: function() {
+            return collection;
+        }
+    };
+
+    return {
+        driver: driver,
+        collection: collection
+    };
+}
+
+var _create0 = {
+    versionField: '_version',
+    expectedVersion: 0
+};
+
+describe( 'mongodb driver', function() {
+    it( 'turns a second create of the same id into a version conflict', function( t, done ) {
+        var mongo = _create( 'id' );
+        mongo.driver.put( 'user', {
+            id: 'a',
+            _version: 1
+        }, _create0, function( error ) {
+            assert.ifError( error );
+
+            mongo.driver.put( 'user', {
+                id: 'a',
+                _version: 1
+            }, _create0, function( error ) {
+                assert.strictEqual( error && error.code, 409 );
+                assert.deepStrictEqual( mongo.collection.indexes, [ {
+                    index: {
+                        id: 1
+                    },
+                    options: {
+                        unique: true
+                    }
+                } ] );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'makes the id index once for concurrent creates', function( t, done ) {
+        var mongo = _create( 'id' );
+        var remaining = 2;
+        function created( error ) {
+            assert.ifError( error );
+            if ( --remaining === 0 ) {
+                assert.strictEqual( mongo.collection.indexes.length, 1 );
+                done();
+            }
+        }
+
+        mongo.driver.put( 'user', {
+            id: 'a',
+            _version: 1
+        }, _create0, created );
+        mongo.driver.put( 'user', {
+            id: 'b',
+            _version: 1
+        }, _create0, created );
+    } );
+
+    it( "doesn't index _id, which mongodb already keeps unique", function( t, done ) {
+        var mongo = _create( '_id' );
+        mongo.driver.put( 'user', {
+            _id: '5f1d7f9b2c3a4b5c6d7e8f90',
+            _version: 1
+        }, _create0, function( error ) {
+            assert.ifError( error );
+            assert.strictEqual( mongo.collection.indexes.length, 0 );
+            done();
+        } );
+    } );
+} );
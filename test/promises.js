@@ -0,0 +1,78 @@
+'use strict';
+
+/* global Promise */
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+function _create() {
+    return new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        strict: false
+    } );
+}
+
+describe( 'promises', function() {
+    it( 'are returned by methods called without a callback', function() {
+        var objecticon = _create();
+
+        return objecticon.create( {
+            type: 'user',
+            overlay: {
+                name: 'Ada'
+            }
+        } ).then( function( user ) {
+            assert.strictEqual( user.name, 'Ada' );
+
+            return objecticon.query( {
+                type: 'user',
+                query: {},
+                count: true
+            } );
+        } ).then( function( query ) {
+            assert.strictEqual( query.results.length, 1 );
+            assert.strictEqual( query.page.total, 1 );
+
+            return objecticon.ds.drivers[ 0 ].get( 'user', query.results[ 0 ].id );
+        } ).then( function( user ) {
+            assert.strictEqual( user.name, 'Ada' );
+        } );
+    } );
+
+    it( 'reject with the error a callback would get', function() {
+        return _create().get( {
+            type: 'user',
+            id: 'missing'
+        } ).then( function() {
+            assert.fail( 'the get should fail' );
+        }, function( error ) {
+            assert.strictEqual( error.code, 404 );
+        } );
+    } );
+
+    it( 'can be returned by rules, which reject to deny', function() {
+        var objecticon = _create();
+
+        objecticon.addRule( 'user', 'write', function( opts ) {
+            return opts.updated.name ? Promise.resolve() : Promise.reject( {
+                error: 'permission denied',
+                code: 403
+            } );
+        } );
+
+        return objecticon.create( {
+            type: 'user',
+            overlay: {}
+        } ).then( function() {
+            assert.fail( 'the create should fail' );
+        }, function( error ) {
+            assert.strictEqual( error.code, 403 );
+        } );
+    } );
+} );
@@ -0,0 +1,138 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var EventEmitter = require( 'events' ).EventEmitter;
+var it = require( 'node:test' ).it;
+var stream = require( 'stream' );
+
+var extend = require( 'extend' );
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Rest = require( '../rest.js' );
+
+function _allow( opts, next ) {
+    next();
+}
+
+function _create( rule ) {
+    var driver = new DSMemoryDriver( {
+        authoritative: 'get,query,search'
+    } );
+
+    var users = driver._getCollection( 'user' );
+    [ 'Grace', 'Ada', 'Barbara' ].forEach( function( name, index ) {
+        users[ index ] = {
+            id: String( index ),
+            name: name
+        };
+    } );
+
+    var rest = new Rest( {
+        drivers: [ driver ]
+    } );
+
+    rest.objecticon.addRule( 'user', 'query', rule || _allow );
+    return rest;
+}
+
+function _request( query ) {
+    return {
+        params: {
+            type: 'user'
+        },
+        query: query,
+        user: {
+            id: 'u1'
+        }
+    };
+}
+
+// a response that collects headers and the json body
+function _response( callback ) {
+    var headers = {};
+    return {
+        setHeader: function( name, value ) {
+            headers[ name ] = value;
+        },
+        json: function( body ) {
+            callback( body, headers );
+        }
+    };
+}
+
+function _names( results ) {
+    return results.map( function( result ) {
+        return result.name;
+    } );
+}
+
+describe( 'query', function() {
+    it( 'pages through sorted results with cursors', function( t, done ) {
+        var rest = _create();
+
+        rest.query( _request( {
+            query: '{}',
+            sort: '{"name":1}',
+            limit: '2',
+            count: 'true'
+        } ), _response( function( results, headers ) {
+            assert.deepStrictEqual( _names( results ), [ 'Ada', 'Barbara' ] );
+            assert.strictEqual( headers[ 'X-Total-Count' ], 3 );
+            assert.ok( headers[ 'X-Next-Cursor' ] );
+
+            rest.query( _request( {
+                query: '{}',
+                sort: '{"name":1}',
+                limit: '2',
+                cursor: headers[ 'X-Next-Cursor' ]
+            } ), _response( function( results, headers ) {
+                assert.deepStrictEqual( _names( results ), [ 'Grace' ] );
+                assert.strictEqual( headers[ 'X-Next-Cursor' ], undefined );
+                done();
+            } ), done );
+        } ), done );
+    } );
+
+    it( 'refuses a cursor it did not make', function( t, done ) {
+        _create().query( _request( {
+            query: '{}',
+            cursor: 'nonsense'
+        } ), _response( function() {
+            assert.fail( 'the query should fail' );
+        } ), function( error ) {
+            assert.ok( /Invalid cursor/.test( error && error.message ) );
+            done();
+        } );
+    } );
+
+    it( 'streams every result as newline-delimited json', function( t, done ) {
+        var rest = _create( function( opts, next ) {
+            next( opts.results.name === 'Grace' ? {
+                error: 'permission denied',
+                code: 403
+            } : null );
+        } );
+
+        var body = '';
+        var response = new stream.Writable( {
+            write: function( chunk, encoding, next ) {
+                body += chunk;
+                next();
+            }
+        } );
+        response.writeHead = function( status, headers ) {
+            assert.strictEqual( status, 200 );
+            assert.strictEqual( headers[ 'Content-Type' ], 'application/x-ndjson' );
+        };
+        response.on( 'finish', function() {
+            assert.deepStrictEqual( _names( body.trim().split( '\n' ).map( JSON.parse ) ), [ 'Ada', 'Barbara' ] );
+            done();
+        } );
+
+        rest.queryStream( extend( new EventEmitter(), _request( {
+            query: '{}',
+            sort: '{"name":1}'
+        } ) ), response, done );
+    } );
+} );
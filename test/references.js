@@ -0,0 +1,94 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+// posts by Ada and by Grace, whose user only she may read
+function _create( options ) {
+    var driver = new DSMemoryDriver( {
+        authoritative: 'get,query,search'
+    } );
+
+    driver._getCollection( 'user' ).ada = {
+        id: 'ada',
+        name: 'Ada'
+    };
+    driver._getCollection( 'user' ).grace = {
+        id: 'grace',
+        name: 'Grace'
+    };
+    driver._getCollection( 'post' ).p1 = {
+        id: 'p1',
+        authorId: 'ada',
+        editorIds: [ 'ada', 'grace' ]
+    };
+
+    driver.queries = 0;
+    var query = driver.query;
+    driver.query = function() {
+        driver.queries++;
+        return query.apply( driver, arguments );
+    };
+
+    var objecticon = new Objecticon( Object.assign( {
+        drivers: [ driver ],
+        strict: false
+    }, options ) );
+
+    objecticon.addReference( 'post', 'authorId', 'user' );
+    objecticon.addReference( 'post', 'editorIds', 'user' );
+    objecticon.addRule( 'user', 'read', function( opts, next ) {
+        next( opts.results.id === 'grace' && opts.meta.user.id !== 'grace' ? {
+            error: 'permission denied',
+            code: 403
+        } : null );
+    } );
+
+    return {
+        objecticon: objecticon,
+        driver: driver
+    };
+}
+
+describe( 'references', function() {
+    it( 'expand into the objects the reader may see, a read per field', function( t, done ) {
+        var store = _create();
+
+        store.objecticon.get( {
+            type: 'post',
+            id: 'p1',
+            expand: 'authorId,editorIds',
+            meta: {
+                user: {
+                    id: 'ada'
+                }
+            }
+        }, function( error, post ) {
+            assert.ifError( error );
+            assert.strictEqual( post.author.name, 'Ada' );
+            assert.deepStrictEqual( post.editors.map( function( editor ) {
+                return editor.id;
+            } ), [ 'ada' ] );
+            assert.strictEqual( store.driver.queries, 2 );
+            done();
+        } );
+    } );
+
+    it( 'fail writes that reference missing objects, when checked', function( t, done ) {
+        _create( {
+            checkReferences: true
+        } ).objecticon.create( {
+            type: 'post',
+            overlay: {
+                authorId: 'nobody'
+            }
+        }, function( error ) {
+            assert.strictEqual( error && error.error, 'invalid reference' );
+            done();
+        } );
+    } );
+} );
@@ -0,0 +1,168 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DataStore = require( '../datastore/index.js' );
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+
+function _create( options ) {
+    return new DataStore( Object.assign( {
+        create: function() {
+            return {};
+        }
+    }, options ) );
+}
+
+// a memory driver whose puts fail with the next of the given errors
+function _failing( errors ) {
+    var driver = new DSMemoryDriver();
+    var put = driver.put;
+    driver.put = function( type, object, options, callback ) {
+        var error = errors.shift();
+        if ( error ) {
+            setImmediate( callback.bind( null, error ) );
+            return;
+        }
+
+        put.call( driver, type, object, options, callback );
+    };
+    return driver;
+}
+
+describe( 'replication', function() {
+    it( 'gives up on a replicated write the driver rejects, and carries on', function( t, done ) {
+        var primary = new DSMemoryDriver();
+        var replica = _failing( [ {
+            error: 'version conflict',
+            code: 409
+        } ] );
+
+        var ds = _create( {
+            drivers: [ primary, replica ],
+            writePolicy: 'primary',
+            retryInterval: 10
+        } );
+
+        var dropped = [];
+        ds.on( 'replicationError', function( event ) {
+            dropped.push( event.operations[ 0 ].object.id + ':' + event.error.code + ':' + event.attempts );
+        } );
+
+        ds.put( 'user', {
+            id: 'a'
+        }, function( error ) {
+            assert.ifError( error );
+
+            ds.put( 'user', {
+                id: 'b'
+            }, function( error ) {
+                assert.ifError( error );
+
+                setTimeout( function() {
+                    assert.deepStrictEqual( dropped, [ 'a:409:1' ] );
+                    assert.deepStrictEqual( Object.keys( replica._getCollection( 'user' ) ), [ 'b' ] );
+                    assert.deepStrictEqual( ds.getReplicationStatus(), [] );
+                    done();
+                }, 50 );
+            } );
+        } );
+    } );
+
+    it( 'retries a failed replicated write up to maxReplicaAttempts times', {
+        timeout: 5000
+    }, function( t, done ) {
+        var replica = _failing( [ new Error( 'down' ), new Error( 'down' ), new Error( 'down' ) ] );
+        var ds = _create( {
+            drivers: [ new DSMemoryDriver(), replica ],
+            writePolicy: 'primary',
+            retryInterval: 5,
+            maxReplicaAttempts: 3
+        } );
+
+        // retries are timed with unref'd timers
+        var keepAlive = setTimeout( function() {}, 5000 );
+
+        ds.on( 'replicationError', function( event ) {
+            clearTimeout( keepAlive );
+            assert.strictEqual( event.attempts, 3 );
+            assert.strictEqual( event.error.message, 'down' );
+            assert.strictEqual( replica._getCollection( 'user' ).a, undefined );
+            done();
+        } );
+
+        ds.put( 'user', {
+            id: 'a'
+        }, assert.ifError );
+    } );
+
+    it( 'repairs drivers that have drifted from the primary', function( t, done ) {
+        var primary = new DSMemoryDriver();
+        var replica = new DSMemoryDriver();
+        var ds = _create( {
+            drivers: [ primary, replica ]
+        } );
+
+        primary._getCollection( 'user' ).a = {
+            id: 'a',
+            name: 'alice'
+        };
+        replica._getCollection( 'user' ).a = {
+            id: 'a',
+            name: 'stale'
+        };
+        replica._getCollection( 'user' ).b = {
+            id: 'b'
+        };
+
+        ds.reconcile( 'user', function( error, reports ) {
+            assert.ifError( error );
+            assert.deepStrictEqual( reports[ 0 ].changed, [ 'a' ] );
+            assert.deepStrictEqual( reports[ 0 ].extra, [ 'b' ] );
+            assert.deepStrictEqual( replica._getCollection( 'user' ).a, primary._getCollection( 'user' ).a );
+            assert.strictEqual( replica._getCollection( 'user' ).b, undefined );
+            done();
+        } );
+    } );
+
+    it( 'holds writes to the type being reconciled until it is done', function( t, done ) {
+        var primary = new DSMemoryDriver();
+        var replica = new DSMemoryDriver();
+        var ds = _create( {
+            drivers: [ primary, replica ],
+            writePolicy: 'all'
+        } );
+
+        primary._getCollection( 'user' ).a = {
+            id: 'a',
+            name: 'old'
+        };
+
+        var reconciled = false;
+
+        // the write is made while the reconcile is reading the primary
+        var query = primary.query;
+        primary.query = function( type, criteria, options, callback ) {
+            query.call( primary, type, criteria, options, function( error, results ) {
+                ds.put( 'user', {
+                    id: 'a',
+                    name: 'new'
+                }, function( error ) {
+                    assert.ifError( error );
+                    assert.ok( reconciled );
+                    assert.strictEqual( primary._getCollection( 'user' ).a.name, 'new' );
+                    assert.strictEqual( replica._getCollection( 'user' ).a.name, 'new' );
+                    done();
+                } );
+
+                setImmediate( callback.bind( null, error, results ) );
+            } );
+        };
+
+        ds.reconcile( 'user', function( error ) {
+            assert.ifError( error );
+            reconciled = true;
+        } );
+    } );
+} );
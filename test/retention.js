@@ -0,0 +1,108 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+// a user renamed once, with every entry for it backdated by an hour
+function _create( callback ) {
+    var logger = new DSMemoryDriver( {
+        authoritative: 'query'
+    } );
+    var archive = new DSMemoryDriver();
+
+    var objecticon = new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        loggers: [ logger ],
+        logArchive: archive,
+        strictAudit: true,
+        strict: false
+    } );
+
+    objecticon.create( {
+        type: 'user',
+        overlay: {
+            name: 'Ada'
+        }
+    }, function( error, user ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        objecticon.update( {
+            type: 'user',
+            id: user.id,
+            changes: [ {
+                kind: 'E',
+                path: [ 'name' ],
+                lhs: 'Ada',
+                rhs: 'Ada Lovelace'
+            } ]
+        }, function( error ) {
+            var entries = logger._getCollection( 'auditlogentry' );
+            Object.keys( entries ).forEach( function( id ) {
+                entries[ id ].createdAt = new Date( new Date( entries[ id ].createdAt ).getTime() - 60 * 60 * 1000 );
+            } );
+
+            callback( error, {
+                objecticon: objecticon,
+                id: user.id,
+                logger: logger,
+                archive: archive
+            } );
+        } );
+    } );
+}
+
+describe( 'audit log retention', function() {
+    it( 'folds expired entries into a snapshot, archiving them', function( t, done ) {
+        _create( function( error, store ) {
+            assert.ifError( error );
+
+            store.objecticon.compactLog( {
+                type: 'user',
+                maxAge: 60 * 1000
+            }, function( error, reports ) {
+                assert.ifError( error );
+                assert.strictEqual( reports[ 0 ].expired, 2 );
+                assert.strictEqual( reports[ 0 ].snapshots, 1 );
+                assert.strictEqual( Object.keys( store.logger._getCollection( 'auditlogentry' ) ).length, 1 );
+                assert.strictEqual( Object.keys( store.archive._getCollection( 'auditlogentry' ) ).length, 2 );
+
+                store.objecticon.getAt( {
+                    type: 'user',
+                    id: store.id,
+                    at: new Date()
+                }, function( error, user ) {
+                    assert.ifError( error );
+                    assert.strictEqual( user.name, 'Ada Lovelace' );
+                    assert.strictEqual( user._version, 2 );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'only reports what would change on a dry run', function( t, done ) {
+        _create( function( error, store ) {
+            assert.ifError( error );
+
+            store.objecticon.compactLog( {
+                type: 'user',
+                maxAge: 60 * 1000,
+                dryRun: true
+            }, function( error, reports ) {
+                assert.ifError( error );
+                assert.strictEqual( reports[ 0 ].expired, 2 );
+                assert.strictEqual( Object.keys( store.logger._getCollection( 'auditlogentry' ) ).length, 2 );
+                done();
+            } );
+        } );
+    } );
+} );
@@ -0,0 +1,148 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+function _create( rule ) {
+    var driver = new DSMemoryDriver( {
+        authoritative: 'get,query,search'
+    } );
+
+    var users = driver._getCollection( 'user' );
+    users.a = {
+        id: 'a',
+        name: 'Ada'
+    };
+    users.b = {
+        id: 'b',
+        name: 'Grace',
+        hidden: true
+    };
+
+    var objecticon = new Objecticon( {
+        drivers: [ driver ]
+    } );
+
+    objecticon.addRule( 'user', 'query', rule );
+    return objecticon;
+}
+
+// users whose email only they may read
+function _createWithEmails() {
+    var driver = new DSMemoryDriver( {
+        authoritative: 'get,query,search'
+    } );
+
+    driver._getCollection( 'user' ).a = {
+        id: 'a',
+        name: 'Ada',
+        email: 'ada@example.com'
+    };
+
+    var objecticon = new Objecticon( {
+        drivers: [ driver ],
+        strict: false
+    } );
+
+    objecticon.addRule( 'user', 'read', 'email', function( opts, next ) {
+        next( opts.meta.user.id === opts.results.id ? null : {
+            error: 'permission denied',
+            code: 403
+        } );
+    } );
+    return objecticon;
+}
+
+function _ids( results ) {
+    return results.map( function( result ) {
+        return result.id;
+    } );
+}
+
+describe( 'rules', function() {
+    it( 'leave out query results a rule denies with a 403', function( t, done ) {
+        _create( function( opts, next ) {
+            next( opts.results.hidden ? {
+                error: 'permission denied',
+                code: 403
+            } : null );
+        } ).query( {
+            type: 'user',
+            query: {}
+        }, function( error, results ) {
+            assert.ifError( error );
+            assert.deepStrictEqual( _ids( results ), [ 'a' ] );
+            done();
+        } );
+    } );
+
+    it( 'fail a query when a rule fails for another reason', function( t, done ) {
+        _create( function( opts, next ) {
+            next( opts.results.hidden ? {
+                error: 'rule failed',
+                code: 500
+            } : null );
+        } ).query( {
+            type: 'user',
+            query: {}
+        }, function( error ) {
+            assert.strictEqual( error && error.code, 500 );
+            done();
+        } );
+    } );
+
+    it( 'fail a streamed query when a rule fails for another reason', function( t, done ) {
+        _create( function( opts, next ) {
+            next( opts.results.hidden ? {
+                error: 'rule failed',
+                code: 500
+            } : null );
+        } ).queryStream( {
+            type: 'user',
+            query: {}
+        }, function( error, results ) {
+            assert.ifError( error );
+
+            results.on( 'data', function() {} );
+            results.on( 'error', function( error ) {
+                assert.strictEqual( error.code, 500 );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'hide the fields a read rule denies from gets and queries', function( t, done ) {
+        var objecticon = _createWithEmails();
+
+        objecticon.get( {
+            type: 'user',
+            id: 'a',
+            meta: {
+                user: {
+                    id: 'b'
+                }
+            }
+        }, function( error, user ) {
+            assert.ifError( error );
+            assert.deepStrictEqual( Object.keys( user ).sort(), [ 'id', 'name' ] );
+
+            objecticon.query( {
+                type: 'user',
+                query: {},
+                meta: {
+                    user: {
+                        id: 'a'
+                    }
+                }
+            }, function( error, results ) {
+                assert.ifError( error );
+                assert.strictEqual( results[ 0 ].email, 'ada@example.com' );
+                done();
+            } );
+        } );
+    } );
+} );
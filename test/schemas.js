@@ -0,0 +1,81 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+function _create() {
+    return new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ],
+        strict: false,
+        schemas: {
+            user: {
+                type: 'object',
+                additionalProperties: false,
+                required: [ 'name' ],
+                properties: {
+                    name: {
+                        type: 'string'
+                    },
+                    role: {
+                        type: 'string',
+                        default: 'member'
+                    }
+                }
+            }
+        }
+    } );
+}
+
+describe( 'schemas', function() {
+    it( 'fill in defaults and allow the fields objecticon sets without listing them', function( t, done ) {
+        var objecticon = _create();
+        objecticon.create( {
+            type: 'user',
+            overlay: {
+                name: 'Ada'
+            }
+        }, function( error, user ) {
+            assert.ifError( error );
+            assert.strictEqual( user.role, 'member' );
+
+            objecticon.update( {
+                type: 'user',
+                id: user.id,
+                changes: [ {
+                    kind: 'E',
+                    path: [ 'name' ],
+                    lhs: 'Ada',
+                    rhs: 'Ada Lovelace'
+                } ]
+            }, function( error, updated ) {
+                assert.ifError( error );
+                assert.strictEqual( updated.name, 'Ada Lovelace' );
+                assert.strictEqual( updated._version, 2 );
+                done();
+            } );
+        } );
+    } );
+
+    it( 'reject objects that break the schema, with the path of each problem', function( t, done ) {
+        var objecticon = _create();
+        objecticon.create( {
+            type: 'user',
+            overlay: {
+                name: 3,
+                extra: true
+            }
+        }, function( error ) {
+            assert.strictEqual( error && error.code, 400 );
+            assert.deepStrictEqual( error.errors.map( function( _error ) {
+                return _error.path;
+            } ).sort(), [ '', 'name' ] );
+            done();
+        } );
+    } );
+} );
@@ -0,0 +1,98 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var EventEmitter = require( 'events' ).EventEmitter;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+var Subscriptions = require( '../subscriptions.js' );
+
+function _create() {
+    var objecticon = new Objecticon( {
+        drivers: [ new DSMemoryDriver( {
+            authoritative: 'get,query,search'
+        } ) ]
+    } );
+
+    [ 'create', 'read', 'write' ].forEach( function( action ) {
+        objecticon.addRule( 'user', action, function( opts, next ) {
+            next();
+        } );
+    } );
+
+    return new Subscriptions( {
+        objecticon: objecticon
+    } );
+}
+
+function _socket() {
+    var socket = new EventEmitter();
+    socket.sent = [];
+    socket.send = function( message ) {
+        socket.sent.push( JSON.parse( message ) );
+    };
+    return socket;
+}
+
+describe( 'subscriptions', function() {
+    it( 'send socket subscribers the changes to their type', function( t, done ) {
+        var subscriptions = _create();
+        var socket = _socket();
+
+        subscriptions.socket( socket, {
+            id: 'u1'
+        } );
+        socket.emit( 'message', JSON.stringify( {
+            action: 'subscribe',
+            type: 'user'
+        } ) );
+
+        subscriptions.objecticon.create( {
+            type: 'user',
+            overlay: {
+                name: 'Ada'
+            }
+        }, function( error, user ) {
+            assert.ifError( error );
+
+            setTimeout( function() {
+                assert.deepStrictEqual( socket.sent.map( function( message ) {
+                    return message.event + ' ' + message.id;
+                } ), [ 'created ' + user.id ] );
+                done();
+            }, 20 );
+        } );
+    } );
+
+    it( "don't subscribe a socket that closed while its subscription was checked", function( t, done ) {
+        var subscriptions = _create();
+        var socket = _socket();
+
+        subscriptions.objecticon.create( {
+            type: 'user',
+            overlay: {
+                name: 'Ada'
+            }
+        }, function( error, user ) {
+            assert.ifError( error );
+
+            subscriptions.socket( socket, {
+                id: 'u1'
+            } );
+            socket.emit( 'message', JSON.stringify( {
+                action: 'subscribe',
+                type: 'user',
+                id: user.id
+            } ) );
+            socket.emit( 'close' );
+
+            setTimeout( function() {
+                assert.strictEqual( subscriptions.subscribers.length, 0 );
+                assert.deepStrictEqual( socket.sent, [] );
+                done();
+            }, 20 );
+        } );
+    } );
+} );
@@ -0,0 +1,94 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DataStore = require( '../datastore/index.js' );
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var DSTextIndexDriver = require( '../datastore/drivers/textindex.js' );
+
+function _ids( results ) {
+    return results.map( function( result ) {
+        return result.id;
+    } );
+}
+
+describe( 'text index', function() {
+    it( 'ranks the objects that use a term most first', function( t, done ) {
+        var index = new DSTextIndexDriver();
+
+        index.put( 'note', {
+            id: 'a',
+            text: 'red fish blue fish'
+        }, function() {
+            index.put( 'note', {
+                id: 'b',
+                text: 'one fish among many other words'
+            }, function() {
+                index.search( 'note', 'fish', function( error, results ) {
+                    assert.ifError( error );
+                    assert.deepStrictEqual( _ids( results ), [ 'a', 'b' ] );
+                    assert.ok( results[ 0 ]._score > results[ 1 ]._score );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'is filled from the primary when a DataStore is created', function( t, done ) {
+        var primary = new DSMemoryDriver( {
+            authoritative: 'get,query'
+        } );
+        var index = new DSTextIndexDriver( {
+            authoritative: 'search',
+            types: [ 'note' ]
+        } );
+
+        primary.batch( [ {
+            action: 'create',
+            type: 'note',
+            object: {
+                id: 'a',
+                text: 'stale text'
+            }
+        }, {
+            action: 'create',
+            type: 'note',
+            object: {
+                id: 'b',
+                text: 'other text'
+            }
+        } ], function( error ) {
+            assert.ifError( error );
+
+            var ds = new DataStore( {
+                drivers: [ primary, index ],
+                create: function() {
+                    return {};
+                }
+            } );
+
+            // a write while the rebuild's query is under way wins over what the query found
+            index.put( 'note', {
+                id: 'a',
+                text: 'fresh text'
+            }, function( error ) {
+                assert.ifError( error );
+
+                setImmediate( function() {
+                    ds.search( 'note', 'fresh', function( error, results ) {
+                        assert.ifError( error );
+                        assert.deepStrictEqual( _ids( results ), [ 'a' ] );
+
+                        ds.search( 'note', 'stale other', function( error, results ) {
+                            assert.ifError( error );
+                            assert.deepStrictEqual( _ids( results ), [ 'b' ] );
+                            done();
+                        } );
+                    } );
+                } );
+            } );
+        } );
+    } );
+} );
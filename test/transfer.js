@@ -0,0 +1,98 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+var stream = require( 'stream' );
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var transfer = require( '../datastore/transfer.js' );
+
+function _driver( objects ) {
+    var driver = new DSMemoryDriver();
+    var users = driver._getCollection( 'user' );
+    ( objects || [] ).forEach( function( object ) {
+        users[ object.id ] = object;
+    } );
+    return driver;
+}
+
+describe( 'transfer', function() {
+    it( 'imports what was exported', function( t, done ) {
+        var source = _driver( [ {
+            id: 'a',
+            name: 'Ada'
+        }, {
+            id: 'b',
+            name: 'Grace'
+        } ] );
+        var target = _driver();
+        var output = new stream.PassThrough();
+
+        transfer.exportData( {
+            driver: source,
+            logger: null
+        }, {
+            types: [ 'user' ],
+            output: output
+        }, function( error, report ) {
+            assert.ifError( error );
+            assert.strictEqual( report.objects, 2 );
+            output.end();
+        } );
+
+        transfer.importData( {
+            get: target.get.bind( target ),
+            write: target.batch.bind( target ),
+            loggers: []
+        }, {
+            input: output
+        }, function( error, report ) {
+            assert.ifError( error );
+            assert.strictEqual( report.created, 2 );
+            assert.deepStrictEqual( Object.keys( target._getCollection( 'user' ) ).sort(), [ 'a', 'b' ] );
+            done();
+        } );
+    } );
+
+    it( 'destroys the stream being read when the export fails', function( t, done ) {
+        var objects = new stream.Readable( {
+            objectMode: true,
+            read: function() {
+                this.push( {
+                    id: 'a'
+                } );
+            }
+        } );
+
+        // takes the header, then is closed while writing the first object
+        var lines = 0;
+        var output = new stream.Writable( {
+            highWaterMark: 1,
+            write: function( chunk, encoding, next ) {
+                if ( lines++ === 0 ) {
+                    next();
+                    return;
+                }
+
+                setImmediate( output.destroy.bind( output ) );
+            }
+        } );
+
+        transfer.exportData( {
+            driver: {
+                queryStream: function( type, criteria, options, callback ) {
+                    callback( null, objects );
+                }
+            },
+            logger: null
+        }, {
+            types: [ 'user' ],
+            output: output
+        }, function( error ) {
+            assert.ok( error );
+            assert.strictEqual( objects.destroyed, true );
+            done();
+        } );
+    } );
+} );
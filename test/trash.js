@@ -0,0 +1,112 @@
+'use strict';
+
+var assert = require( 'assert' );
+var describe = require( 'node:test' ).describe;
+var it = require( 'node:test' ).it;
+
+var DSMemoryDriver = require( '../datastore/drivers/memory.js' );
+var Objecticon = require( '../index.js' );
+
+// a store with a user that's been moved to the trash
+function _create( callback ) {
+    var driver = new DSMemoryDriver( {
+        authoritative: 'get,query,search'
+    } );
+
+    var objecticon = new Objecticon( {
+        drivers: [ driver ],
+        softDelete: true,
+        strict: false
+    } );
+
+    objecticon.create( {
+        type: 'user',
+        overlay: {
+            name: 'Ada'
+        }
+    }, function( error, user ) {
+        if ( error ) {
+            callback( error );
+            return;
+        }
+
+        objecticon.delete( {
+            type: 'user',
+            id: user.id
+        }, function( error ) {
+            callback( error, objecticon, user.id, driver );
+        } );
+    } );
+}
+
+describe( 'trash', function() {
+    it( 'hides deleted objects from gets and queries, and lists them in the trash', function( t, done ) {
+        _create( function( error, objecticon, id ) {
+            assert.ifError( error );
+
+            objecticon.get( {
+                type: 'user',
+                id: id
+            }, function( error ) {
+                assert.strictEqual( error && error.code, 404 );
+
+                objecticon.query( {
+                    type: 'user',
+                    query: {}
+                }, function( error, results ) {
+                    assert.ifError( error );
+                    assert.strictEqual( results.length, 0 );
+
+                    objecticon.getTrash( {
+                        type: 'user'
+                    }, function( error, trash ) {
+                        assert.ifError( error );
+                        assert.deepStrictEqual( trash.map( function( user ) {
+                            return user.id;
+                        } ), [ id ] );
+                        done();
+                    } );
+                } );
+            } );
+        } );
+    } );
+
+    it( 'restores objects from the trash', function( t, done ) {
+        _create( function( error, objecticon, id ) {
+            assert.ifError( error );
+
+            objecticon.restore( {
+                type: 'user',
+                id: id
+            }, function( error ) {
+                assert.ifError( error );
+
+                objecticon.get( {
+                    type: 'user',
+                    id: id
+                }, function( error, user ) {
+                    assert.ifError( error );
+                    assert.strictEqual( user.name, 'Ada' );
+                    done();
+                } );
+            } );
+        } );
+    } );
+
+    it( 'purges objects that have been in the trash too long', function( t, done ) {
+        _create( function( error, objecticon, id, driver ) {
+            assert.ifError( error );
+
+            // everything trashed up to and including this millisecond
+            objecticon.purgeTrash( {
+                type: 'user',
+                olderThan: -1
+            }, function( error, purged ) {
+                assert.ifError( error );
+                assert.deepStrictEqual( purged, [ id ] );
+                assert.deepStrictEqual( Object.keys( driver._getCollection( 'user' ) ), [] );
+                done();
+            } );
+        } );
+    } );
+} );